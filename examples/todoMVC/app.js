@@ -21,34 +21,25 @@ const todoApp = new TodoApp(framework);
 
 // Render function
 function render() {
-    const appElement = document.getElementById('todoapp');
-    if (appElement) {
-        // Clear existing content
-        appElement.innerHTML = '';
-        
-        // Render the TodoMVC app
-        const vnode = todoApp.render();
-        framework.dom.render(vnode, appElement);
+    if (framework.isInitialized) {
+        // The framework keeps the previous vnode and patches the container,
+        // so inputs keep their focus and caret between renders
+        framework.render(() => todoApp.render());
     }
 }
 
-// Setup reactive rendering
-framework.state.subscribe(() => {
-    render();
-});
-
-// Setup router change rendering
-framework.router.subscribe(() => {
-    render();
-});
+// State changes re-render through the framework's autoRerender, which
+// re-runs the last component passed to framework.render(). Route changes
+// land in state too (see TodoApp.setupRouting), so they are covered as well.
 
 // Initialize the framework and render
-framework.init().then(() => {
+try {
+    framework.init();
     render();
     console.log('TodoMVC app initialized with Mini Framework');
-}).catch(error => {
+} catch (error) {
     console.error('Failed to initialize TodoMVC:', error);
-});
+}
 
 // Export for debugging
 window.todoApp = todoApp;
@@ -6,6 +6,7 @@
 import TodoHeader from './TodoHeader.js';
 import TodoMain from './TodoMain.js';
 import TodoFooter from './TodoFooter.js';
+import TodoContext from './TodoContext.js';
 
 export default class TodoApp {
     constructor(framework) {
@@ -152,21 +153,28 @@ export default class TodoApp {
         const completedTodos = todos.filter(todo => todo.completed);
         const hasTodos = todos.length > 0;
 
-        return this.dom.createVNode('section', {
+        const content = this.dom.createVNode('section', {
             class: 'todoapp'
         }, [
             this.dom.createVNode('header', { class: 'header' }, [
                 this.dom.createVNode('h1', {}, ['todos']),
-                new TodoHeader(this).render()
+                this.dom.createVNode(TodoHeader)
             ]),
             
             hasTodos && this.dom.createVNode('section', { class: 'main' }, [
-                new TodoMain(this, filteredTodos, editingId).render()
+                this.dom.createVNode(TodoMain, { todos: filteredTodos, editingId })
             ]),
             
             hasTodos && this.dom.createVNode('footer', { class: 'footer' }, [
-                new TodoFooter(this, activeTodos.length, completedTodos.length, filter).render()
+                this.dom.createVNode(TodoFooter, {
+                    activeCount: activeTodos.length,
+                    completedCount: completedTodos.length,
+                    currentFilter: filter
+                })
             ])
         ].filter(Boolean));
+
+        // Components below reach the actions through the context
+        return this.dom.createVNode(TodoContext.Provider, { value: this }, [content]);
     }
 }
\ No newline at end of file
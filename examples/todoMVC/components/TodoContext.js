@@ -0,0 +1,9 @@
+/**
+ * TodoMVC Context - Gives every component access to the TodoApp actions
+ */
+
+import { createContext } from '../../../src/index.js';
+
+const TodoContext = createContext(null);
+
+export default TodoContext;
@@ -2,59 +2,56 @@
  * TodoMVC Footer Component - Contains filters and clear completed
  */
 
-// DOM functions accessed through app.dom
+import { Component } from '../../../src/index.js';
+import TodoContext from './TodoContext.js';
 
-export default class TodoFooter {
-    constructor(app, activeCount, completedCount, currentFilter) {
-        this.app = app;
-        this.activeCount = activeCount;
-        this.completedCount = completedCount;
-        this.currentFilter = currentFilter;
-    }
+// DOM functions and actions accessed through the TodoApp in TodoContext
 
+export default class TodoFooter extends Component {
     handleFilterClick(filter, event) {
         event.preventDefault();
-        this.app.setFilter(filter);
+        this.getContext(TodoContext).setFilter(filter);
     }
 
     handleClearCompleted() {
-        this.app.clearCompleted();
+        this.getContext(TodoContext).clearCompleted();
     }
 
     render() {
-        const itemsText = this.activeCount === 1 ? 'item' : 'items';
+        const { dom } = this.getContext(TodoContext);
+        const itemsText = this.props.activeCount === 1 ? 'item' : 'items';
         
         return [
-            this.app.dom.createVNode('span', { class: 'todo-count' }, [
-                this.app.dom.createVNode('strong', {}, [this.activeCount.toString()]),
+            dom.createVNode('span', { class: 'todo-count' }, [
+                dom.createVNode('strong', {}, [this.props.activeCount.toString()]),
                 ` ${itemsText} left`
             ]),
             
-            this.app.dom.createVNode('ul', { class: 'filters' }, [
-                this.app.dom.createVNode('li', {}, [
-                    this.app.dom.createVNode('a', {
+            dom.createVNode('ul', { class: 'filters' }, [
+                dom.createVNode('li', {}, [
+                    dom.createVNode('a', {
                         href: '#/',
-                        class: this.currentFilter === 'all' ? 'selected' : '',
+                        class: this.props.currentFilter === 'all' ? 'selected' : '',
                         onClick: (event) => this.handleFilterClick('all', event)
                     }, ['All'])
                 ]),
-                this.app.dom.createVNode('li', {}, [
-                    this.app.dom.createVNode('a', {
+                dom.createVNode('li', {}, [
+                    dom.createVNode('a', {
                         href: '#/active',
-                        class: this.currentFilter === 'active' ? 'selected' : '',
+                        class: this.props.currentFilter === 'active' ? 'selected' : '',
                         onClick: (event) => this.handleFilterClick('active', event)
                     }, ['Active'])
                 ]),
-                this.app.dom.createVNode('li', {}, [
-                    this.app.dom.createVNode('a', {
+                dom.createVNode('li', {}, [
+                    dom.createVNode('a', {
                         href: '#/completed',
-                        class: this.currentFilter === 'completed' ? 'selected' : '',
+                        class: this.props.currentFilter === 'completed' ? 'selected' : '',
                         onClick: (event) => this.handleFilterClick('completed', event)
                     }, ['Completed'])
                 ])
             ]),
             
-            this.completedCount > 0 && this.app.dom.createVNode('button', {
+            this.props.completedCount > 0 && dom.createVNode('button', {
                 class: 'clear-completed',
                 onClick: () => this.handleClearCompleted()
             }, ['Clear completed'])
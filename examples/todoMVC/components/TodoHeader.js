@@ -2,23 +2,22 @@
  * TodoMVC Header Component - Contains the new todo input
  */
 
-// DOM functions accessed through app.dom
+import { Component } from '../../../src/index.js';
+import TodoContext from './TodoContext.js';
 
-export default class TodoHeader {
-    constructor(app) {
-        this.app = app;
-    }
+// DOM functions and actions accessed through the TodoApp in TodoContext
 
+export default class TodoHeader extends Component {
     handleKeyPress(event) {
         if (event.key === 'Enter') {
             const text = event.target.value;
-            this.app.addTodo(text);
+            this.getContext(TodoContext).addTodo(text);
             event.target.value = '';
         }
     }
 
     render() {
-        return this.app.dom.createVNode('input', {
+        return this.getContext(TodoContext).dom.createVNode('input', {
             class: 'new-todo',
             placeholder: 'What needs to be done?',
             autofocus: true,
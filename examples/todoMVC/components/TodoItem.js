@@ -2,76 +2,76 @@
  * TodoMVC Item Component - Individual todo item
  */
 
-// DOM functions accessed through app.dom
+import { Component } from '../../../src/index.js';
+import TodoContext from './TodoContext.js';
 
-export default class TodoItem {
-    constructor(app, todo, isEditing) {
-        this.app = app;
-        this.todo = todo;
-        this.isEditing = isEditing;
-    }
+// DOM functions and actions accessed through the TodoApp in TodoContext
 
+export default class TodoItem extends Component {
     handleToggle() {
-        this.app.toggleTodo(this.todo.id);
+        this.getContext(TodoContext).toggleTodo(this.props.todo.id);
     }
 
     handleDestroy() {
-        this.app.deleteTodo(this.todo.id);
+        this.getContext(TodoContext).deleteTodo(this.props.todo.id);
     }
 
     handleDoubleClick() {
-        this.app.startEditing(this.todo.id);
+        this.getContext(TodoContext).startEditing(this.props.todo.id);
     }
 
     handleEditKeyPress(event) {
         if (event.key === 'Enter') {
             this.handleEditSubmit(event);
         } else if (event.key === 'Escape') {
-            this.app.cancelEditing();
+            this.getContext(TodoContext).cancelEditing();
         }
     }
 
     handleEditSubmit(event) {
         const text = event.target.value.trim();
-        this.app.updateTodo(this.todo.id, text);
+        this.getContext(TodoContext).updateTodo(this.props.todo.id, text);
     }
 
     handleEditBlur(event) {
-        if (this.isEditing) {
+        if (this.props.isEditing) {
             this.handleEditSubmit(event);
         }
     }
 
     render() {
+        const { dom } = this.getContext(TodoContext);
+
         const classes = [
-            this.todo.completed && 'completed',
-            this.isEditing && 'editing'
+            this.props.todo.completed && 'completed',
+            this.props.isEditing && 'editing'
         ].filter(Boolean).join(' ');
 
-        return this.app.dom.createVNode('li', {
+        return dom.createVNode('li', {
+            key: this.props.todo.id,
             class: classes
         }, [
-            this.app.dom.createVNode('div', { class: 'view' }, [
-                this.app.dom.createVNode('input', {
+            dom.createVNode('div', { class: 'view' }, [
+                dom.createVNode('input', {
                     class: 'toggle',
                     type: 'checkbox',
-                    checked: this.todo.completed,
+                    checked: this.props.todo.completed,
                     onChange: () => this.handleToggle()
                 }),
                 
-                this.app.dom.createVNode('label', {
+                dom.createVNode('label', {
                     onDoubleclick: () => this.handleDoubleClick()
-                }, [this.todo.text]),
+                }, [this.props.todo.text]),
                 
-                this.app.dom.createVNode('button', {
+                dom.createVNode('button', {
                     class: 'destroy',
                     onClick: () => this.handleDestroy()
                 })
             ]),
             
-            this.isEditing && this.app.dom.createVNode('input', {
+            this.props.isEditing && dom.createVNode('input', {
                 class: 'edit',
-                value: this.todo.text,
+                value: this.props.todo.text,
                 autofocus: true,
                 onKeypress: (event) => this.handleEditKeyPress(event),
                 onBlur: (event) => this.handleEditBlur(event)
@@ -2,26 +2,25 @@
  * TodoMVC Main Component - Contains the todo list and toggle all
  */
 
-// DOM functions accessed through app.dom
+import { Component } from '../../../src/index.js';
+import TodoContext from './TodoContext.js';
 import TodoItem from './TodoItem.js';
 
-export default class TodoMain {
-    constructor(app, todos, editingId) {
-        this.app = app;
-        this.todos = todos;
-        this.editingId = editingId;
-    }
+// DOM functions and actions accessed through the TodoApp in TodoContext
 
+export default class TodoMain extends Component {
     handleToggleAll() {
-        this.app.toggleAll();
+        this.getContext(TodoContext).toggleAll();
     }
 
     render() {
-        const allTodos = this.app.state.getState().todos;
+        const { todos, editingId } = this.props;
+        const app = this.getContext(TodoContext);
+        const allTodos = app.state.getState().todos;
         const allCompleted = allTodos.length > 0 && allTodos.every(todo => todo.completed);
 
         return [
-            this.app.dom.createVNode('input', {
+            app.dom.createVNode('input', {
                 id: 'toggle-all',
                 class: 'toggle-all',
                 type: 'checkbox',
@@ -29,14 +28,14 @@ export default class TodoMain {
                 onChange: () => this.handleToggleAll()
             }),
             
-            this.app.dom.createVNode('label', {
+            app.dom.createVNode('label', {
                 for: 'toggle-all'
             }, ['Mark all as complete']),
             
-            this.app.dom.createVNode('ul', {
+            app.dom.createVNode('ul', {
                 class: 'todo-list'
-            }, this.todos.map(todo => 
-                new TodoItem(this.app, todo, this.editingId === todo.id).render()
+            }, todos.map(todo => 
+                app.dom.createVNode(TodoItem, { key: todo.id, todo, isEditing: editingId === todo.id })
             ))
         ];
     }
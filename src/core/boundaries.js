@@ -0,0 +1,320 @@
+/**
+ * Boundaries
+ * Wrapper components that render a fallback in place of their children
+ * @module core/boundaries
+ */
+
+import { Component } from './component-instance.js';
+import { LazyRouteLoader } from './route-transitions.js';
+import { h } from '../utils/dom-helpers.js';
+import { ERROR_TYPES } from '../utils/error-boundary.js';
+import { shallowEqual } from '../utils/helpers.js';
+
+/**
+ * Thrown by a lazy component that is still loading, for the nearest
+ * suspense boundary
+ * @private
+ */
+class Suspension {
+    constructor(promise) {
+        this.promise = promise;
+    }
+}
+
+/**
+ * Render the children of a boundary (a single child without a fragment)
+ * @private
+ * @param {Array} children - Child vnodes
+ * @returns {*} Virtual node(s)
+ */
+function renderChildren(children) {
+    return children.length === 1 ? children[0] : children;
+}
+
+/**
+ * Catches errors thrown while its children render and shows the fallback
+ * @private
+ */
+class ErrorBoundaryComponent extends Component {
+    constructor(props) {
+        super(props);
+        this._error = null;
+        this._recovery = null;
+        this._resetKeys = props.resetKeys || [];
+    }
+
+    /**
+     * Clear the error and render the children again
+     */
+    reset() {
+        if (this._error) {
+            this._error = null;
+            this._requestUpdate();
+        }
+    }
+
+    /**
+     * Check whether the boundary handles a thrown value (called by the DOM)
+     * @private
+     * @param {*} error - Thrown value, or null for any
+     * @returns {boolean} True for errors; loading components are left to suspense
+     */
+    _catches(error) {
+        return !(error instanceof Suspension);
+    }
+
+    /**
+     * Enter the error state (called by the DOM). The error is recorded by
+     * the DOM's error boundary and passed to every render error handler;
+     * the first value a handler returns is the default fallback.
+     * @private
+     * @param {Error} error - Error thrown below the boundary
+     */
+    _catchError(error) {
+        const errorBoundary = this._dom.errorBoundary;
+        const errorInfo = errorBoundary._recordError('Component render failed', error, ERROR_TYPES.RENDER);
+        const handlers = errorBoundary.errorHandlers.get(ERROR_TYPES.RENDER) || [];
+
+        this._error = error;
+        this._recovery = null;
+
+        handlers.forEach(handler => {
+            try {
+                const result = handler(errorInfo);
+                if (this._recovery === null && result !== undefined) {
+                    this._recovery = result;
+                }
+            } catch (handlerError) {
+                if (errorBoundary.debug) {
+                    console.error('Error handler failed:', handlerError);
+                }
+            }
+        });
+
+        if (typeof this.props.onError === 'function') {
+            this.props.onError(error);
+        }
+    }
+
+    render() {
+        const resetKeys = this.props.resetKeys || [];
+        if (this._error && !shallowEqual(resetKeys, this._resetKeys)) {
+            this._error = null;
+        }
+        this._resetKeys = resetKeys;
+
+        if (!this._error) {
+            return renderChildren(this.props.children);
+        }
+
+        const { fallback } = this.props;
+        if (typeof fallback === 'function') {
+            return fallback(this._error, () => this.reset());
+        }
+        return fallback !== undefined ? fallback : this._recovery;
+    }
+}
+
+/**
+ * Create an error boundary vnode. Errors thrown while its children render
+ * (on mount, on updates, or when a component below re-renders on its own)
+ * replace them with the fallback and are reported to the DOM's
+ * ErrorBoundary and its onError handlers.
+ * @param {Object} options - Boundary options
+ * @param {*|Function} options.fallback - Fallback vnode, or (error, reset) => vnode.
+ * Defaults to the framework's error fallback.
+ * @param {Function} options.onError - Called with the error
+ * @param {Array} options.resetKeys - Values that render the children again when they change
+ * @param {...*} children - Child vnodes
+ * @returns {Object} Component virtual node
+ * @example
+ * errorBoundary({
+ *     fallback: (error, reset) => h('button', { onClick: reset }, 'Retry'),
+ *     resetKeys: [userId]
+ * }, h(Profile, { userId }));
+ */
+export function errorBoundary(options = {}, ...children) {
+    return h(ErrorBoundaryComponent, { ...options }, ...children);
+}
+
+/**
+ * Shows a fallback while lazy components below it load
+ * @private
+ */
+class SuspenseComponent extends Component {
+    constructor(props) {
+        super(props);
+        this._pending = new Set();
+        this._timer = null;
+        this._timedOut = false;
+    }
+
+    unmounted() {
+        clearTimeout(this._timer);
+    }
+
+    /**
+     * Check whether the boundary handles a thrown value (called by the DOM)
+     * @private
+     * @param {*} error - Thrown value, or null for any
+     * @returns {boolean} True for loading components
+     */
+    _catches(error) {
+        return error === null || error instanceof Suspension;
+    }
+
+    /**
+     * Wait for a loading component, showing the fallback meanwhile (called
+     * by the DOM)
+     * @private
+     * @param {Suspension} suspension - Thrown by the loading component
+     */
+    _catchError({ promise }) {
+        if (this._pending.has(promise)) {
+            return;
+        }
+
+        this._pending.add(promise);
+        this._startTimeout();
+
+        const settle = () => {
+            this._pending.delete(promise);
+            if (this._pending.size === 0) {
+                clearTimeout(this._timer);
+                this._timer = null;
+                this._requestUpdate();
+            }
+        };
+        promise.then(settle, settle);
+    }
+
+    /**
+     * Give up waiting after `timeout` ms
+     * @private
+     */
+    _startTimeout() {
+        const { timeout } = this.props;
+        if (timeout == null || this._timer) {
+            return;
+        }
+
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._timedOut = true;
+            this._requestUpdate();
+        }, timeout);
+    }
+
+    render() {
+        if (this._pending.size === 0) {
+            this._timedOut = false;
+            return renderChildren(this.props.children);
+        }
+
+        // Reaches the nearest error boundary
+        if (this._timedOut) {
+            throw new Error(`suspense: content still loading after ${this.props.timeout}ms`);
+        }
+
+        return this.props.fallback !== undefined ? this.props.fallback : null;
+    }
+}
+
+/**
+ * Create a suspense boundary vnode. While lazy components below it load,
+ * the fallback is shown in place of the children; once every one of them
+ * has loaded the children are patched in.
+ * @param {Object} options - Boundary options
+ * @param {*} options.fallback - Vnode shown while loading
+ * @param {number} options.timeout - Time in ms after which loading fails
+ * with an error for the nearest error boundary
+ * @param {...*} children - Child vnodes
+ * @returns {Object} Component virtual node
+ * @example
+ * const Chart = lazy(() => import('./Chart.js'));
+ *
+ * suspense({ fallback: h('p', null, 'Loading...'), timeout: 10000 }, h(Chart, { data }));
+ */
+export function suspense(options = {}, ...children) {
+    return h(SuspenseComponent, { ...options }, ...children);
+}
+
+/**
+ * Check whether a suspense boundary is above a component
+ * @private
+ * @param {Component} instance - Component instance
+ * @returns {boolean} True if a suspense boundary waits for it
+ */
+function hasSuspense(instance) {
+    let current = instance._parent;
+    while (current && !(current instanceof SuspenseComponent)) {
+        current = current._parent;
+    }
+    return Boolean(current);
+}
+
+/**
+ * Create a component loaded on first render, through the router's
+ * LazyRouteLoader (same timeout and retries with backoff). The loader can
+ * also wait for data and resolve to a component rendering it.
+ * @param {Function} loader - Returns a promise of a module (default export)
+ * or a component
+ * @param {Object} options - Loader options
+ * @param {number} options.timeout - Timeout per attempt in ms
+ * @param {number} options.retries - Number of attempts
+ * @returns {Function} Component; `preload()` starts loading ahead of time
+ * @example
+ * const Settings = lazy(() => import('./Settings.js'));
+ * const Profile = lazy(async () => {
+ *     const user = await fetchUser();
+ *     return props => h(UserCard, { ...props, user });
+ * });
+ */
+export function lazy(loader, options = {}) {
+    const routeLoader = new LazyRouteLoader({ ...options, cache: true });
+    let component = null;
+    let error = null;
+    let promise = null;
+
+    const load = () => {
+        if (!promise) {
+            promise = routeLoader.loadRoute({ name: 'lazy', component: loader }).then(
+                result => {
+                    component = result;
+                },
+                loadError => {
+                    error = loadError;
+                }
+            );
+        }
+        return promise;
+    };
+
+    function LazyComponent(props, instance) {
+        if (component) {
+            const { children, ...rest } = props;
+            return h(component, rest, ...children);
+        }
+
+        // Fail once; the next render (e.g. after an error boundary reset)
+        // loads again
+        if (error) {
+            const loadError = error;
+            error = null;
+            promise = null;
+            throw loadError;
+        }
+
+        const pending = load();
+        if (hasSuspense(instance)) {
+            throw new Suspension(pending);
+        }
+
+        // Without a suspense boundary, render nothing until loaded
+        pending.then(() => instance._requestUpdate());
+        return null;
+    }
+
+    LazyComponent.preload = load;
+    return LazyComponent;
+}
@@ -0,0 +1,479 @@
+/**
+ * Stateful Components
+ * Base class and instances behind component vnodes (vnodes whose tag is a
+ * component function or class)
+ * @module core/component-instance
+ */
+
+import { ERROR_TYPES } from '../utils/error-boundary.js';
+import { isPlainObject } from '../utils/helpers.js';
+import { applyPropDefaults, validateProps } from './props.js';
+
+// Component whose render is running, for hooks and slots
+let currentInstance = null;
+
+/**
+ * Base class for class components
+ * @class Component
+ * @example
+ * class Counter extends Component {
+ *     constructor(props) {
+ *         super(props);
+ *         this.state = { count: props.start || 0 };
+ *     }
+ *
+ *     render() {
+ *         return h('button', {
+ *             onClick: () => this.setState(state => ({ count: state.count + 1 }))
+ *         }, `${this.props.label}: ${this.state.count}`);
+ *     }
+ * }
+ */
+export class Component {
+    /**
+     * Create a component instance
+     * @param {Object} props - Component props (including `children`)
+     */
+    constructor(props = {}) {
+        this.props = props;
+        this.state = {};
+
+        // Set by the DOM instance that mounts the component
+        this._dom = null;
+        this._parent = null;
+        this._depth = 0;
+
+        // Rendered subtree and the DOM node it starts at
+        this._vnode = null;
+        this._node = null;
+
+        this._isMounted = false;
+        this._isUnmounted = false;
+        this._pendingState = [];
+        this._stateCallbacks = [];
+
+        // Hook slots in call order, and effects to run after the next commit
+        this._hooks = [];
+        this._hookIndex = 0;
+        this._pendingEffects = [];
+
+        // Context providers read during the last render
+        this._providers = new Set();
+    }
+
+    /**
+     * Update local state and re-render this component's subtree. Updates
+     * are batched until the next microtask.
+     * @param {Object|Function} update - Partial state, or a function of
+     * (state, props) returning one
+     * @param {Function} callback - Called once the update is in the document
+     */
+    setState(update, callback) {
+        if (this._isUnmounted) {
+            return;
+        }
+
+        this._pendingState.push(update);
+        if (typeof callback === 'function') {
+            this._stateCallbacks.push(callback);
+        }
+
+        // Before mounting (e.g. in the constructor) state is applied right away
+        if (this._dom) {
+            this._requestUpdate();
+        } else {
+            this._applyPendingState();
+        }
+    }
+
+    /**
+     * Re-render this component's subtree synchronously
+     */
+    forceUpdate() {
+        if (this._dom && !this._isUnmounted) {
+            this._dom.updateComponent(this);
+        }
+    }
+
+    /**
+     * Read the value of the nearest provider of a context above this
+     * component. The component re-renders when that provider's value changes.
+     * @param {Object} context - Context from createContext()
+     * @returns {*} Provided value, or the context's default value
+     */
+    getContext(context) {
+        let provider = this._parent;
+        while (provider && provider._context !== context) {
+            provider = provider._parent;
+        }
+
+        if (!provider) {
+            return context.defaultValue;
+        }
+
+        provider._consumers.set(this, provider.props.value);
+        this._providers.add(provider);
+        return provider.props.value;
+    }
+
+    /**
+     * Describe the component's subtree
+     * @returns {*} Virtual node(s)
+     */
+    render() {
+        return null;
+    }
+
+    /**
+     * Called once the component's subtree is in the document, after the
+     * `mounted` of its child components
+     */
+    mounted() {}
+
+    /**
+     * Called after a re-render is in the document, after the `updated` of
+     * its child components
+     * @param {Object} _prevProps - Props before the update
+     * @param {Object} _prevState - State before the update
+     */
+    updated(_prevProps, _prevState) {}
+
+    /**
+     * Called before the component is removed, while its subtree is still in
+     * the document and before the `beforeUnmount` of its child components
+     */
+    beforeUnmount() {}
+
+    /**
+     * Called once the component's subtree has been removed, after the
+     * `unmounted` of its child components
+     */
+    unmounted() {}
+
+    /**
+     * Called when a keepAlive() wrapper re-attaches the component from its
+     * cache, after the `activated` of its child components
+     */
+    activated() {}
+
+    /**
+     * Called before a keepAlive() wrapper detaches the component into its
+     * cache, before the `deactivated` of its child components
+     */
+    deactivated() {}
+
+    /**
+     * Call render with this component as the current one
+     * @private
+     * @returns {*} Virtual node(s)
+     */
+    _render() {
+        const previous = currentInstance;
+        currentInstance = this;
+
+        try {
+            return this.render();
+        } finally {
+            currentInstance = previous;
+        }
+    }
+
+    /**
+     * Call a lifecycle method (mounted, updated, beforeUnmount, unmounted,
+     * activated, deactivated), reporting errors to the DOM's error boundary
+     * @private
+     * @param {string} name - Method name
+     * @param {...*} args - Method arguments
+     */
+    _callHook(name, ...args) {
+        if (name !== 'unmounted' && this._isUnmounted) {
+            return;
+        }
+
+        try {
+            this[name](...args);
+        } catch (error) {
+            this._reportError(`Component ${name} failed`, error);
+        }
+    }
+
+    /**
+     * Run an effect a render scheduled (useEffect), after the cleanup of
+     * its previous run
+     * @private
+     * @param {Object} hook - Hook slot
+     */
+    _runEffect(hook) {
+        if (this._isUnmounted) {
+            return;
+        }
+
+        this._runEffectCleanup(hook);
+
+        try {
+            const cleanup = hook.effect();
+            hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        } catch (error) {
+            this._reportError('Effect failed', error);
+        }
+    }
+
+    /**
+     * Call and clear a hook's cleanup function
+     * @private
+     * @param {Object} hook - Hook slot
+     */
+    _runEffectCleanup(hook) {
+        const cleanup = hook.cleanup;
+        if (!cleanup) {
+            return;
+        }
+
+        hook.cleanup = null;
+        try {
+            cleanup();
+        } catch (error) {
+            this._reportError('Effect cleanup failed', error);
+        }
+    }
+
+    /**
+     * Stop re-rendering for the contexts read during the last render; the
+     * next render subscribes again to the ones it still reads
+     * @private
+     */
+    _releaseContexts() {
+        this._providers.forEach(provider => provider._consumers.delete(this));
+        this._providers.clear();
+    }
+
+    /**
+     * Drop pending effects and run effect cleanups, ending store and
+     * context subscriptions (called once unmounted)
+     * @private
+     */
+    _release() {
+        this._pendingEffects = [];
+        this._hooks.forEach(hook => this._runEffectCleanup(hook));
+        this._releaseContexts();
+    }
+
+    /**
+     * Record the node the rendered subtree starts at
+     * @private
+     * @param {Node} node - New start node
+     */
+    _setNode(node) {
+        const previous = this._node;
+        this._node = node;
+
+        // Ancestors that render this component at their root start there too
+        let parent = this._parent;
+        while (parent && parent._node === previous) {
+            parent._node = node;
+            parent = parent._parent;
+        }
+    }
+
+    /**
+     * Patch the rendered subtree into its previous one (keepAlive() takes
+     * over to cache the children it stops rendering)
+     * @private
+     * @param {Node} element - DOM node the previous subtree starts at
+     * @param {*} oldVNode - Previously rendered vnode
+     * @param {*} newVNode - Newly rendered vnode
+     * @returns {Node} DOM node the subtree starts at after the patch
+     */
+    _patch(element, oldVNode, newVNode) {
+        return this._dom._updateElement(element, oldVNode, newVNode);
+    }
+
+    /**
+     * Check whether the component is a boundary that renders a fallback
+     * for a value thrown below it (errorBoundary() and suspense() are)
+     * @private
+     * @param {*} _error - Thrown value, or null for any
+     * @returns {boolean} True if it handles the value
+     */
+    _catches(_error) {
+        return false;
+    }
+
+    /**
+     * Take a value thrown below a boundary, before it renders its fallback
+     * (implemented by boundaries)
+     * @private
+     * @param {*} _error - Thrown value
+     */
+    _catchError(_error) {}
+
+    /**
+     * Find the nearest boundary at or above this component
+     * @private
+     * @param {*} error - Thrown value the boundary must handle, or null for any
+     * @returns {Component|null} Boundary instance
+     */
+    _findBoundary(error = null) {
+        let current = this;
+        while (current && !current._catches(error)) {
+            current = current._parent;
+        }
+        return current;
+    }
+
+    /**
+     * Report an error thrown by the component's code
+     * @private
+     * @param {string} context - What failed
+     * @param {Error} error - Thrown error
+     */
+    _reportError(context, error) {
+        this._dom.errorBoundary.handleError(context, error, ERROR_TYPES.COMPONENT);
+    }
+
+    /**
+     * Queue a batched re-render of this component
+     * @private
+     */
+    _requestUpdate() {
+        if (this._dom && !this._isUnmounted) {
+            this._dom._scheduleComponentUpdate(this);
+        }
+    }
+
+    /**
+     * Name of the component for error messages
+     * @private
+     * @returns {string} Component name
+     */
+    _getName() {
+        return this.constructor.name || 'Anonymous';
+    }
+
+    /**
+     * Merge queued state updates into `state`
+     * @private
+     */
+    _applyPendingState() {
+        const updates = this._pendingState;
+        this._pendingState = [];
+
+        updates.forEach(update => {
+            const partial = typeof update === 'function' ? update(this.state, this.props) : update;
+            this.state = { ...this.state, ...partial };
+        });
+    }
+}
+
+/**
+ * Instance behind a function component; the function is called with
+ * (props, instance), so it can use `instance.state` and `instance.setState`
+ * @private
+ */
+class FunctionComponent extends Component {
+    constructor(props, renderFunction) {
+        super(props);
+        this._renderFunction = renderFunction;
+    }
+
+    render() {
+        this._hookIndex = 0;
+
+        const rendered = this._renderFunction(this.props, this);
+        this._checkHookCount();
+        return rendered;
+    }
+
+    _getName() {
+        return this._renderFunction.name || 'Anonymous';
+    }
+
+    /**
+     * In strict mode, fail when a render called fewer hooks than the
+     * previous one (e.g. a hook behind an early return)
+     * @private
+     */
+    _checkHookCount() {
+        if (this._dom && this._dom.options.strictMode && this._hookIndex < this._hooks.length) {
+            throw new Error(
+                `${this._getName()} rendered ${this._hookIndex} hooks but ${this._hooks.length} during the ` +
+                'previous render. Call hooks at the top level of the component, not inside conditions, ' +
+                'loops or after an early return.'
+            );
+        }
+    }
+}
+
+/**
+ * Get the component whose render is running
+ * @returns {Component|null} Component instance
+ */
+export function getCurrentInstance() {
+    return currentInstance;
+}
+
+/**
+ * Check whether a component type is a class extending Component
+ * @param {Function} type - Component function or class
+ * @returns {boolean} True for class components
+ */
+export function isComponentClass(type) {
+    return typeof type === 'function' && type.prototype instanceof Component;
+}
+
+/**
+ * Check whether a component child is a named slots object rather than
+ * a vnode
+ * @private
+ * @param {*} child - Component child
+ * @returns {boolean} True for slots objects
+ */
+function isSlotsObject(child) {
+    return isPlainObject(child) && !child._isVNode && !child.tag && !child.type;
+}
+
+/**
+ * Build a component's props from its vnode (`key` and `ref` excluded),
+ * with the defaults of its props schema. A plain object as the only
+ * child holds named slots: it becomes `props.slots`, and its `default`
+ * entry `props.children`.
+ * @param {Object} vnode - Component virtual node
+ * @param {boolean} validate - Warn about props that do not match the schema
+ * @returns {Object} Props
+ */
+export function getComponentProps(vnode, validate = false) {
+    const props = { ...vnode.attrs };
+    delete props.key;
+    delete props.ref;
+
+    if (vnode.children && vnode.children.length > 0) {
+        props.children = vnode.children;
+    } else if (!('children' in props)) {
+        props.children = [];
+    }
+
+    const [first] = props.children;
+    if (props.children.length === 1 && isSlotsObject(first)) {
+        const content = first.default;
+        props.slots = first;
+        props.children = content == null || typeof content === 'function' ? [] : [].concat(content);
+    }
+
+    applyPropDefaults(vnode.tag, props);
+
+    if (validate) {
+        validateProps(vnode.tag, props).forEach(problem => console.warn(`Invalid props: ${problem}`));
+    }
+
+    return props;
+}
+
+/**
+ * Create the instance for a component vnode's tag
+ * @param {Function} type - Component function or class
+ * @param {Object} props - Component props
+ * @returns {Component} Component instance
+ */
+export function createComponentInstance(type, props) {
+    return isComponentClass(type) ? new type(props) : new FunctionComponent(props, type);
+}
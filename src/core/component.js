@@ -9,6 +9,7 @@ import { StateManager } from './state.js';
 import { Router } from './router.js';
 import { Logger } from '../utils/logger.js';
 import { Config } from './config.js';
+import { mount, mountIslands } from './mount.js';
 import { ErrorBoundary } from '../utils/error-boundary.js';
 import { deepMerge } from '../utils/helpers.js';
 
@@ -59,9 +60,18 @@ export class MiniFramework {
         // Initialize core systems with error boundaries
         try {
             this.events = new EventManager(this.options.events);
-            this.dom = new DOM(this.options.dom, this.events);
-            this.state = new StateManager(this.options.state, this.options.debug);
+            this.dom = new DOM({
+                debug: this.options.debug,
+                strictMode: this.options.strictMode,
+                validateComponents: this.options.development.validateComponents,
+                ...this.options.dom
+            }, this.events);
+            this.state = new StateManager(this.options.state, this.options.debug, {
+                reactive: this.options.reactiveState
+            });
+            this.dom.store = this.state;
             this.router = new Router(this.options.routing);
+            this.dom.router = this.router;
         } catch (error) {
             this.errorBoundary.handleError('System initialization failed', error);
             throw error;
@@ -86,6 +96,9 @@ export class MiniFramework {
         this.container = null;
         this.renderCount = 0;
         
+        // Root vnode of the last render, kept for patching
+        this._currentVNode = null;
+        
         // Performance tracking
         this.performance = {
             initTime: 0,
@@ -213,10 +226,15 @@ export class MiniFramework {
             // Apply middleware to vnode
             vnode = this._applyMiddleware(vnode, 'vnode');
 
-            // Clear container and render
-            this.container.innerHTML = '';
-            const element = this.dom.createElement(vnode);
-            this.container.appendChild(element);
+            // Patch against the previous tree, mounting from scratch only
+            // when there is nothing to patch
+            if (this._shouldRemount()) {
+                this.container.innerHTML = '';
+                this.dom.render(vnode, this.container);
+            } else {
+                this.dom.patch(this.container, this._currentVNode, vnode);
+            }
+            this._currentVNode = vnode;
             
             // Track performance
             const renderTime = performance.now() - startTime;
@@ -234,6 +252,29 @@ export class MiniFramework {
         }, 'Render failed');
     }
 
+    /**
+     * Mount a component into another element as an independent root that
+     * shares this framework's StateManager and Router (see mount())
+     * @param {Function} component - Component function or class
+     * @param {Element|string} element - Container element, or a CSS selector for it
+     * @param {Object} options - mount() options
+     * @returns {Object} Root handle with `update(props)` and `unmount()`
+     */
+    mount(component, element, options = {}) {
+        return mount(component, element, this._getRootOptions(options));
+    }
+
+    /**
+     * Mount the `data-component` islands of the page as roots that share
+     * this framework's StateManager and Router (see mountIslands())
+     * @param {Object|Map} components - Components by island name
+     * @param {Object} options - mountIslands() options
+     * @returns {Array<Object>} Root handles
+     */
+    mountIslands(components, options = {}) {
+        return mountIslands(components, this._getRootOptions(options));
+    }
+
     /**
      * Get current state
      */
@@ -313,7 +354,8 @@ export class MiniFramework {
             averageRenderTime: this.performance.renderTimes.length > 0 
                 ? this.performance.renderTimes.reduce((a, b) => a + b) / this.performance.renderTimes.length
                 : 0,
-            totalRenders: this.renderCount
+            totalRenders: this.renderCount,
+            skippedSubtrees: this.dom.getStats().skippedSubtrees
         };
     }
 
@@ -351,6 +393,7 @@ export class MiniFramework {
 
         try {
             // Cleanup core systems
+            this.dom.cleanup();
             this.events.removeAllListeners();
             this.state.destroy();
             this.router.destroy();
@@ -370,6 +413,7 @@ export class MiniFramework {
                 this.container.innerHTML = '';
                 this.container = null;
             }
+            this._currentVNode = null;
 
             this._callHooks('afterUnmount');
             this.phase = LIFECYCLE_PHASES.DESTROYED;
@@ -419,6 +463,32 @@ export class MiniFramework {
         });
     }
 
+    /**
+     * Options for roots mounted through this framework
+     * @private
+     * @param {Object} options - Options passed by the caller
+     * @returns {Object} mount() options
+     */
+    _getRootOptions(options) {
+        return {
+            state: this.state,
+            router: this.router,
+            debug: this.options.debug,
+            strictMode: this.options.strictMode,
+            ...options
+        };
+    }
+
+    /**
+     * Check whether the next render has to mount from scratch instead of
+     * patching the previous tree
+     * @private
+     * @returns {boolean} True if the container should be re-mounted
+     */
+    _shouldRemount() {
+        return this._currentVNode == null || !this.container.firstChild;
+    }
+
     /**
      * Schedule a re-render with debouncing
      * @private
@@ -16,6 +16,7 @@ const DEFAULT_CONFIG = {
     
     // State management
     state: {},
+    reactiveState: false,
     autoRerender: true,
     rerenderDelay: 16, // ~60fps
     
@@ -68,6 +69,7 @@ const CONFIG_SCHEMA = {
     debug: 'boolean',
     strictMode: 'boolean',
     state: 'object',
+    reactiveState: 'boolean',
     autoRerender: 'boolean',
     rerenderDelay: 'number',
     routes: 'object',
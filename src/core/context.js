@@ -0,0 +1,68 @@
+/**
+ * Context
+ * Values provided by a component to every descendant component that reads
+ * them, without passing props through each level
+ * @module core/context
+ */
+
+import { Component } from './component-instance.js';
+
+/**
+ * Create a context
+ * @param {*} defaultValue - Value read by components without a provider above them
+ * @returns {Object} Context with `Provider` and `Consumer` components
+ * @example
+ * const ThemeContext = createContext('light');
+ *
+ * h(ThemeContext.Provider, { value: 'dark' }, h(Toolbar));
+ *
+ * // In a class component
+ * const theme = this.getContext(ThemeContext);
+ * // In a function component
+ * const theme = useContext(ThemeContext);
+ * // Anywhere in a render
+ * h(ThemeContext.Consumer, null, theme => h('span', null, theme));
+ */
+export function createContext(defaultValue) {
+    const context = { defaultValue, Provider: null, Consumer: null };
+
+    /**
+     * Provides `props.value` to its descendants and renders its children
+     * @private
+     */
+    class Provider extends Component {
+        constructor(props) {
+            super(props);
+            this._context = context;
+            // Components that read the context, with the value they read
+            this._consumers = new Map();
+        }
+
+        render() {
+            return this.props.children;
+        }
+
+        updated() {
+            // Only the components that read this context re-render for a new
+            // value; the ones this patch re-rendered already read it
+            this._consumers.forEach((value, consumer) => {
+                if (!Object.is(value, this.props.value)) {
+                    consumer._requestUpdate();
+                }
+            });
+        }
+    }
+
+    /**
+     * Renders its child function with the context value
+     * @private
+     */
+    function Consumer(props, instance) {
+        const render = props.children[0];
+        return render(instance.getContext(context));
+    }
+
+    context.Provider = Provider;
+    context.Consumer = Consumer;
+    return context;
+}
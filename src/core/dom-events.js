@@ -265,6 +265,9 @@ export class EventManager {
                     if (listenerSet.size === 0) {
                         this.listeners.delete(eventType);
                     }
+                    listener.target.removeEventListener(eventType, listener.wrappedDOMHandler, {
+                        capture: listener.options.capture
+                    });
                     this.logger.debug(`Listener ${listenerId} removed`);
                     return true;
                 }
@@ -484,6 +487,7 @@ export class EventManager {
         };
         
         listener.wrappedDOMHandler = wrappedHandler;
+        listener.target = element;
         
         element.addEventListener(eventType, wrappedHandler, {
             capture: listener.options.capture,
@@ -4,8 +4,11 @@
  * @module core/dom
  */
 
-import { escapeHtml, isPlainObject, deepEqual } from '../utils/helpers.js';
+import { escapeHtml, isPlainObject, deepEqual, shallowEqual } from '../utils/helpers.js';
+import { cls } from '../utils/dom-helpers.js';
 import { ErrorBoundary, ERROR_TYPES } from '../utils/error-boundary.js';
+import { createComponentInstance, getComponentProps } from './component-instance.js';
+import { isSignal, SignalBindings } from './signals.js';
 
 /**
  * Virtual node types
@@ -14,7 +17,54 @@ const VNODE_TYPES = {
     ELEMENT: 'element',
     TEXT: 'text',
     COMMENT: 'comment',
-    FRAGMENT: 'fragment'
+    FRAGMENT: 'fragment',
+    PORTAL: 'portal',
+    THUNK: 'thunk',
+    COMPONENT: 'component'
+};
+
+/**
+ * XML namespaces used for non-HTML elements and attributes
+ */
+const NAMESPACES = {
+    HTML: 'http://www.w3.org/1999/xhtml',
+    SVG: 'http://www.w3.org/2000/svg',
+    MATHML: 'http://www.w3.org/1998/Math/MathML',
+    XLINK: 'http://www.w3.org/1999/xlink',
+    XML: 'http://www.w3.org/XML/1998/namespace'
+};
+
+/**
+ * Camel-cased SVG tag names, keyed by the lowercased form vnodes carry
+ */
+const SVG_TAG_NAMES = [
+    'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion',
+    'animateTransform', 'clipPath', 'feBlend', 'feColorMatrix', 'feComponentTransfer',
+    'feComposite', 'feConvolveMatrix', 'feDiffuseLighting', 'feDisplacementMap',
+    'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG',
+    'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology',
+    'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+    'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient', 'radialGradient',
+    'textPath'
+].reduce((names, name) => {
+    names[name.toLowerCase()] = name;
+    return names;
+}, {});
+
+/**
+ * Element lifecycle attributes; these are called by the patcher instead of
+ * being bound as event listeners
+ */
+const LIFECYCLE_HOOKS = ['onMount', 'onUpdate', 'onBeforeRemove'];
+
+/**
+ * Form state that is set as element properties and re-applied after every
+ * patch, keyed by the tag of the elements it applies to
+ */
+const CONTROLLED_PROPS = {
+    value: ['INPUT', 'TEXTAREA', 'SELECT'],
+    checked: ['INPUT'],
+    selected: ['OPTION']
 };
 
 /**
@@ -36,6 +86,7 @@ export class DOM {
             trackKeys: true,
             passive: false,
             capture: false,
+            validateComponents: true,
             ...options
         };
 
@@ -43,20 +94,54 @@ export class DOM {
         this.elementCache = new WeakMap();
         this.vnodeCache = new Map();
         this.eventManager = eventManager;
+
+        // Placeholder comments of portals rendered by this instance
+        this.portals = new Set();
+
+        // Rendering statistics
+        this.stats = {
+            skippedSubtrees: 0
+        };
+
+        // Callbacks that must run once the current patch is in the document.
+        // `unmounted` calls are kept apart: they survive a failed render
+        // being discarded by an error boundary.
+        this._commitQueue = [];
+        this._unmountQueue = [];
+        this._commitDepth = 0;
+
+        // Component being rendered, and components waiting for a re-render
+        this._currentComponent = null;
+        this._dirtyComponents = new Set();
+        this._componentFlushScheduled = false;
+
+        // StateManager and Router used by the useStore and useRouter hooks
+        // (set by MiniFramework and mount())
+        this.store = null;
+        this.router = null;
+
+        // Nodes bound to signals
+        this.signalBindings = new SignalBindings();
     }
 
     /**
      * Create a DOM element from a virtual node
      * @param {Object|string|number} vnode - Virtual node, text content, or number
+     * @param {string|null} namespace - Namespace inherited from the parent element
      * @returns {Element|Text|Comment} Created DOM element
      */
-    createElement(vnode) {
-        return this.errorBoundary.wrap(() => {
+    createElement(vnode, namespace = null) {
+        return this._commit(() => this._guard(() => {
             // Handle null/undefined
             if (vnode == null) {
                 return document.createComment('null');
             }
 
+            // A signal renders as a text node that follows its value
+            if (isSignal(vnode)) {
+                return this._createSignalText(vnode);
+            }
+
             // Handle primitive values (string, number, boolean)
             if (typeof vnode === 'string' || typeof vnode === 'number' || typeof vnode === 'boolean') {
                 const textContent = String(vnode);
@@ -67,7 +152,7 @@ export class DOM {
 
             // Handle arrays (fragments)
             if (Array.isArray(vnode)) {
-                return this._createFragment(vnode);
+                return this._createFragment(vnode, namespace);
             }
 
             // Validate virtual node object
@@ -82,12 +167,18 @@ export class DOM {
                 case VNODE_TYPES.COMMENT:
                     return this._createComment(vnode);
                 case VNODE_TYPES.FRAGMENT:
-                    return this._createFragment(vnode.children);
+                    return this._createFragment(vnode.children, namespace);
+                case VNODE_TYPES.PORTAL:
+                    return this._createPortal(vnode);
+                case VNODE_TYPES.THUNK:
+                    return this.createElement(this._resolveThunk(vnode), namespace);
+                case VNODE_TYPES.COMPONENT:
+                    return this._createComponent(vnode, namespace);
                 case VNODE_TYPES.ELEMENT:
                 default:
-                    return this._createElement(vnode);
+                    return this._createElement(vnode, namespace);
             }
-        }, 'createElement failed', ERROR_TYPES.RENDER);
+        }, 'createElement failed'));
     }
 
     /**
@@ -111,9 +202,11 @@ export class DOM {
         // Flatten children array
         const flatChildren = this._flattenChildren(children);
 
+        const isComponent = typeof tag === 'function';
+
         return {
-            type: VNODE_TYPES.ELEMENT,
-            tag: String(tag).toLowerCase(),
+            type: isComponent ? VNODE_TYPES.COMPONENT : VNODE_TYPES.ELEMENT,
+            tag: isComponent ? tag : String(tag).toLowerCase(),
             attrs: { ...attrs },
             children: flatChildren,
             key: attrs.key || null,
@@ -161,6 +254,40 @@ export class DOM {
         };
     }
 
+    /**
+     * Create a portal virtual node whose children render into another
+     * element
+     * @param {string|Element} target - Target element or CSS selector
+     * @param {Array} children - Child elements
+     * @returns {Object} Portal virtual node
+     */
+    createPortalVNode(target, children) {
+        return {
+            type: VNODE_TYPES.PORTAL,
+            target,
+            children: this._flattenChildren(Array.isArray(children) ? children : [children]),
+            _isVNode: true
+        };
+    }
+
+    /**
+     * Create a memoized (thunk) virtual node. Its subtree is rendered by
+     * calling `render(...deps)` and is not diffed again while the deps are
+     * shallow-equal to the previous render's.
+     * @param {Function} render - Function returning the subtree
+     * @param {Array} deps - Values the subtree depends on
+     * @returns {Object} Thunk virtual node
+     */
+    createThunkVNode(render, deps = []) {
+        return {
+            type: VNODE_TYPES.THUNK,
+            render,
+            deps,
+            vnode: null,
+            _isVNode: true
+        };
+    }
+
     /**
      * Render virtual nodes to a container
      * @param {Object|Array} vnode - Virtual node or array to render
@@ -168,7 +295,7 @@ export class DOM {
      * @returns {Element|DocumentFragment} Rendered element
      */
     render(vnode, container) {
-        return this.errorBoundary.wrap(() => {
+        return this._commit(() => this.errorBoundary.wrap(() => {
             if (!container || !container.appendChild) {
                 throw new Error('Invalid container element');
             }
@@ -182,7 +309,7 @@ export class DOM {
                 container.appendChild(element);
                 return element;
             }
-        }, 'render failed', ERROR_TYPES.RENDER);
+        }, 'render failed', ERROR_TYPES.RENDER));
     }
 
     /**
@@ -193,7 +320,7 @@ export class DOM {
      * @returns {Element} Updated element
      */
     updateElement(element, oldVNode, newVNode) {
-        return this.errorBoundary.wrap(() => {
+        return this._commit(() => this._guard(() => {
             if (!element) {
                 return this.createElement(newVNode);
             }
@@ -205,24 +332,19 @@ export class DOM {
 
             // If new vnode is null/undefined, remove element
             if (newVNode == null) {
-                if (element.parentNode) {
-                    element.parentNode.removeChild(element);
-                }
+                this._removeNode(element, oldVNode);
                 return null;
             }
 
             // If old vnode is null/undefined, create new element
             if (oldVNode == null) {
-                const newElement = this.createElement(newVNode);
-                if (element.parentNode) {
-                    element.parentNode.replaceChild(newElement, element);
-                }
-                return newElement;
+                const newElement = this.createElement(newVNode, this._getChildNamespace(element.parentNode));
+                return this._replaceNode(element, oldVNode, newElement);
             }
 
             // Handle different types of updates
             return this._updateElement(element, oldVNode, newVNode);
-        }, 'updateElement failed', ERROR_TYPES.RENDER);
+        }, 'updateElement failed'));
     }
 
     /**
@@ -233,7 +355,7 @@ export class DOM {
      * @returns {Element} Updated container
      */
     patch(container, oldVNode, newVNode) {
-        return this.errorBoundary.wrap(() => {
+        return this._commit(() => this.errorBoundary.wrap(() => {
             if (container.children.length === 0 && oldVNode == null) {
                 // Initial render
                 return this.render(newVNode, container);
@@ -244,336 +366,1580 @@ export class DOM {
             const updatedElement = this.updateElement(firstChild, oldVNode, newVNode);
             
             return container;
-        }, 'patch failed', ERROR_TYPES.RENDER);
+        }, 'patch failed', ERROR_TYPES.RENDER));
     }
 
-    // Private methods
-
     /**
-     * Create an HTML element from a virtual node
-     * @private
-     * @param {Object} vnode - Virtual node
-     * @returns {Element} Created element
+     * Hydrate server-rendered markup (e.g. from vnodeToHTML) instead of
+     * re-creating it. Existing nodes are adopted so the same vnode can be
+     * passed as oldVNode to patch()/updateElement() afterwards; event
+     * handlers and refs are attached on the way.
+     * @param {Object|Array} vnode - Virtual node the markup was rendered from
+     * @param {Element} container - Container holding the markup
+     * @param {Object} options - Hydration options
+     * @param {boolean} options.repair - Fix mismatched nodes and attributes
+     * @returns {Array<Object>} Mismatches found (tag, text, attribute, missing, extra)
      */
-    _createElement(vnode) {
-        const { tag, attrs, children } = vnode;
+    hydrate(vnode, container, options = {}) {
+        return this._commit(() => this.errorBoundary.wrap(() => {
+            if (!container || !container.childNodes) {
+                throw new Error('Invalid container element');
+            }
 
-        // Create the element
-        const element = document.createElement(tag);
+            const context = {
+                repair: !!options.repair,
+                mismatches: []
+            };
+            const cursor = { parent: container, node: container.firstChild };
 
-        // Set attributes
-        this._setAttributes(element, attrs);
+            this._hydrateNode(vnode, cursor, context);
+            this._hydrateRemainder(cursor, context);
 
-        // Add children
-        if (children && children.length > 0) {
-            this._appendChildren(element, children);
-        }
+            return context.mismatches;
+        }, 'hydrate failed', ERROR_TYPES.RENDER));
+    }
 
-        // Store vnode reference for future updates
-        if (this.options.trackKeys && vnode.key) {
-            this.elementCache.set(element, vnode);
-        }
+    /**
+     * Re-render a component instance's subtree synchronously
+     * @param {Component} instance - Mounted component instance
+     * @returns {Node} DOM node the component's subtree starts at
+     */
+    updateComponent(instance) {
+        return this._commit(() => this.errorBoundary.wrap(() => {
+            const queueLength = this._commitQueue.length;
 
-        return element;
+            try {
+                return this._rerenderComponent(instance, instance._node);
+            } catch (error) {
+                const boundary = instance._parent && instance._parent._findBoundary(error);
+                if (!boundary) {
+                    throw error;
+                }
+                return this._renderBoundaryFallback(boundary, error, queueLength);
+            }
+        }, 'updateComponent failed', ERROR_TYPES.RENDER));
     }
 
     /**
-     * Create a text node
+     * Get rendering statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Remove portal content rendered by this instance and clear caches
+     */
+    cleanup() {
+        Array.from(this.portals).forEach(placeholder => this._removePortal(placeholder));
+        this.signalBindings.clear();
+        this.elementCache = new WeakMap();
+        this.vnodeCache.clear();
+    }
+
+    // Private methods
+
+    /**
+     * Run a render operation behind the error boundary, which reports the
+     * error and returns a recovery value. Below a boundary component
+     * (errorBoundary(), suspense()) errors propagate instead, so the
+     * nearest one that handles them can render its fallback.
      * @private
-     * @param {Object} vnode - Text virtual node
-     * @returns {Text} Text node
+     * @param {Function} fn - Render operation
+     * @param {string} context - Error context
+     * @returns {*} Operation result or recovery value
      */
-    _createTextNode(vnode) {
-        const textContent = this.options.escapeHtml ? escapeHtml(vnode.text) : vnode.text;
-        return document.createTextNode(textContent);
+    _guard(fn, context) {
+        if (this._currentComponent && this._currentComponent._findBoundary()) {
+            return fn();
+        }
+        return this.errorBoundary.wrap(fn, context, ERROR_TYPES.RENDER);
     }
 
     /**
-     * Create a comment node
+     * Run a DOM operation and flush callbacks queued during it (refs) once
+     * the outermost operation has finished and its nodes are in place
      * @private
-     * @param {Object} vnode - Comment virtual node
-     * @returns {Comment} Comment node
+     * @param {Function} fn - DOM operation
+     * @returns {*} Result of the operation
      */
-    _createComment(vnode) {
-        return document.createComment(vnode.comment);
+    _commit(fn) {
+        this._commitDepth++;
+
+        try {
+            return fn();
+        } finally {
+            this._commitDepth--;
+
+            if (this._commitDepth === 0 && (this._commitQueue.length > 0 || this._unmountQueue.length > 0)) {
+                const queue = [...this._unmountQueue, ...this._commitQueue];
+                this._unmountQueue = [];
+                this._commitQueue = [];
+                queue.forEach(callback => {
+                    try {
+                        callback();
+                    } catch (error) {
+                        this.errorBoundary.handleError('Commit callback failed', error, ERROR_TYPES.COMPONENT);
+                    }
+                });
+            }
+        }
     }
 
     /**
-     * Create a document fragment from children
+     * Get the ref attached to a vnode
      * @private
-     * @param {Array} children - Child vnodes
-     * @returns {DocumentFragment|Element} Fragment or container element
+     * @param {*} vnode - Virtual node
+     * @returns {Function|Object|null} Callback ref, object ref or null
      */
-    _createFragment(children) {
-        if (this.options.useDocumentFragment) {
-            const fragment = document.createDocumentFragment();
-            this._appendChildren(fragment, children);
-            return fragment;
-        } else {
-            // Use a div container if fragments are not supported
-            const container = document.createElement('div');
-            container.style.display = 'contents'; // CSS to make container invisible
-            this._appendChildren(container, children);
-            return container;
+    _getRef(vnode) {
+        if (vnode == null || typeof vnode !== 'object') {
+            return null;
         }
+        return vnode.ref || (vnode.attrs && vnode.attrs.ref) || null;
     }
 
     /**
-     * Set attributes on an element
+     * Assign a value to a callback or object ref
      * @private
-     * @param {Element} element - DOM element
-     * @param {Object} attrs - Attributes object
+     * @param {Function|Object|null} ref - Ref to assign
+     * @param {Element|null} value - Element or null
      */
-    _setAttributes(element, attrs) {
-        Object.entries(attrs).forEach(([key, value]) => {
-            this._setAttribute(element, key, value);
-        });
+    _setRef(ref, value) {
+        if (typeof ref === 'function') {
+            ref(value);
+        } else if (ref && typeof ref === 'object') {
+            ref.current = value;
+        }
     }
 
     /**
-     * Set a single attribute on an element
+     * Release everything a vnode subtree holds before its nodes leave the
+     * document (refs are reset to null)
      * @private
-     * @param {Element} element - DOM element
-     * @param {string} key - Attribute key
-     * @param {*} value - Attribute value
+     * @param {*} vnode - Virtual node being removed
      */
-    _setAttribute(element, key, value) {
-        // Skip special attributes
-        if (key === 'key' || key === 'ref') {
+    _unmountVNode(vnode) {
+        if (vnode == null || typeof vnode !== 'object') {
             return;
         }
 
-        // Handle event attributes (onClick, onMouseOver, etc.)
-        if (key.startsWith('on') && typeof value === 'function') {
-            this._setEventAttribute(element, key, value);
+        if (Array.isArray(vnode)) {
+            vnode.forEach(child => this._unmountVNode(child));
             return;
         }
 
-        // Handle null/undefined values
-        if (value == null || value === false) {
-            element.removeAttribute(key);
+        if (vnode.type === VNODE_TYPES.THUNK) {
+            this._unmountVNode(vnode.vnode);
             return;
         }
 
-        // Handle boolean attributes
-        if (value === true) {
-            element.setAttribute(key, '');
+        if (vnode.type === VNODE_TYPES.COMPONENT) {
+            this._unmountComponent(vnode);
             return;
         }
 
-        // Handle special cases
-        switch (key) {
-            case 'className':
-            case 'class':
-                this._setClass(element, value);
-                break;
-            case 'style':
-                this._setStyle(element, value);
-                break;
-            case 'value':
-                // For input elements, set the property as well
-                if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                    element.value = value;
-                }
-                element.setAttribute(key, value);
-                break;
-            case 'checked':
-                if (element.type === 'checkbox' || element.type === 'radio') {
-                    element.checked = !!value;
-                }
-                break;
-            case 'selected':
-                if (element.tagName === 'OPTION') {
-                    element.selected = !!value;
-                }
-                break;
-            case 'disabled':
-                if (value) {
-                    element.setAttribute('disabled', '');
-                    element.disabled = true;
-                } else {
-                    element.removeAttribute('disabled');
-                    element.disabled = false;
-                }
-                break;
-            case 'readonly':
-                if (value) {
-                    element.setAttribute('readonly', '');
-                    element.readOnly = true;
-                } else {
-                    element.removeAttribute('readonly');
-                    element.readOnly = false;
-                }
-                break;
-            case 'innerHTML':
-                element.innerHTML = value;
-                break;
-            case 'textContent':
-                element.textContent = value;
-                break;
-            default:
-                // Handle data-* and aria-* attributes
-                if (key.startsWith('data-') || key.startsWith('aria-')) {
-                    element.setAttribute(key, value);
-                } else {
-                    // For other attributes, try to set as property first
-                    try {
-                        if (key in element) {
-                            element[key] = value;
-                        } else {
-                            element.setAttribute(key, value);
-                        }
-                    } catch (e) {
-                        element.setAttribute(key, value);
-                    }
-                }
-                break;
+        if (vnode.children) {
+            vnode.children.forEach(child => this._unmountVNode(child));
+        }
+
+        const ref = this._getRef(vnode);
+        if (ref) {
+            this._setRef(ref, null);
         }
     }
 
     /**
-     * Set event attribute on an element
+     * Remove a node rendered from a vnode
      * @private
-     * @param {Element} element - DOM element
-     * @param {string} eventName - Event name (e.g., 'onClick')
-     * @param {Function} handler - Event handler function
+     * @param {Node} node - DOM node to remove
+     * @param {*} vnode - Virtual node the node was rendered from
      */
-    _setEventAttribute(element, eventName, handler) {
-        // Support for custom event syntax with data binding
-        if (typeof handler === 'object' && handler.handler) {
-            return this._setCustomEventAttribute(element, eventName, handler);
-        }
-        
-        // Convert React-style event names to DOM event names
-        const domEventName = this._convertEventName(eventName);
-        
-        // Store event handler reference for cleanup
-        if (!element._miniFrameworkEvents) {
-            element._miniFrameworkEvents = new Map();
-            element._miniFrameworkEventIds = new Map();
+    _removeNode(node, vnode) {
+        this._unmountVNode(vnode);
+
+        if (!node) {
+            return;
         }
-        
-        // Remove previous handler if exists
-        const previousHandlerId = element._miniFrameworkEventIds.get(domEventName);
-        if (previousHandlerId && this.eventManager) {
-            this.eventManager.off(previousHandlerId);
+
+        const nodes = this._getRangeNodes(node);
+        const remove = () => {
+            this._releaseNodes(nodes);
+            this._detachNodes(nodes);
+        };
+
+        const onBeforeRemove = this._getLifecycleHook(vnode, 'onBeforeRemove');
+        if (!onBeforeRemove || node.nodeType !== Node.ELEMENT_NODE) {
+            remove();
+            return;
         }
-        
-        // If we have an EventManager, use it for enhanced event handling
-        if (this.eventManager) {
-            const listenerId = this.eventManager.on(element, domEventName, handler, {
-                passive: this.options.passive,
-                capture: this.options.capture
-            });
-            
-            element._miniFrameworkEventIds.set(domEventName, listenerId);
-        } else {
-            // Fallback to standard event handling
-            const previousHandler = element._miniFrameworkEvents.get(domEventName);
-            if (previousHandler) {
-                element.removeEventListener(domEventName, previousHandler);
-            }
-            
-            // Create wrapped handler for better error handling
-            const wrappedHandler = (event) => {
-                try {
-                    return handler(event);
-                } catch (error) {
-                    if (this.errorBoundary) {
-                        this.errorBoundary.handleError(`Event handler ${eventName}`, error, 'component');
-                    } else {
-                        console.error(`Event handler error for ${eventName}:`, error);
-                    }
+
+        // The element stays in place, ignored by later patches, until the
+        // hook calls done (e.g. after an exit animation)
+        let removed = false;
+        node._leaving = true;
+
+        try {
+            onBeforeRemove(node, () => {
+                if (!removed) {
+                    removed = true;
+                    remove();
                 }
-            };
-            
-            // Add new handler
-            element.addEventListener(domEventName, wrappedHandler);
-            element._miniFrameworkEvents.set(domEventName, wrappedHandler);
+            });
+        } catch (error) {
+            this.errorBoundary.handleError('onBeforeRemove failed', error, ERROR_TYPES.COMPONENT);
+            removed = true;
+            remove();
         }
     }
 
     /**
-     * Set custom event attribute with enhanced options
+     * Get a lifecycle hook from a vnode's attributes
      * @private
-     * @param {Element} element - DOM element
-     * @param {string} eventName - Event name
-     * @param {Object} eventConfig - Event configuration object
+     * @param {*} vnode - Virtual node
+     * @param {string} name - Hook name (see LIFECYCLE_HOOKS)
+     * @returns {Function|null} Hook function
      */
-    _setCustomEventAttribute(element, eventName, eventConfig) {
-        const {
-            handler,
-            data = {},
-            once = false,
-            passive = false,
-            capture = false,
-            debounce = 0,
-            throttle = 0,
-            condition = null,
-            preventDefault = false,
-            stopPropagation = false,
-            priority = 'normal'
-        } = eventConfig;
-        
-        const domEventName = this._convertEventName(eventName);
-        
-        if (!this.eventManager) {
-            console.warn('EventManager not available, using standard event handling');
-            return this._setEventAttribute(element, eventName, handler);
-        }
-        
-        // Enhanced event handler with custom options
-        const enhancedHandler = (event) => {
-            if (preventDefault) {
-                event.preventDefault();
-            }
-            
-            if (stopPropagation) {
-                event.stopPropagation();
-            }
-            
-            // Add custom data to event
-            if (Object.keys(data).length > 0) {
-                Object.assign(event, { customData: data });
-            }
-            
-            return handler(event);
-        };
-        
-        const options = {
-            once,
-            passive,
-            capture,
-            debounce,
-            throttle,
-            condition,
-            priority: priority === 'high' ? 2 : priority === 'low' ? 0 : 1
-        };
-        
-        // Store previous listener ID for cleanup
-        if (!element._miniFrameworkEventIds) {
-            element._miniFrameworkEventIds = new Map();
-        }
-        
-        const previousHandlerId = element._miniFrameworkEventIds.get(domEventName);
-        if (previousHandlerId) {
-            this.eventManager.off(previousHandlerId);
+    _getLifecycleHook(vnode, name) {
+        const resolved = this._resolveThunk(vnode);
+
+        if (resolved == null || typeof resolved !== 'object' || !resolved.attrs) {
+            return null;
         }
-        
-        const listenerId = this.eventManager.on(element, domEventName, enhancedHandler, options);
-        element._miniFrameworkEventIds.set(domEventName, listenerId);
+
+        return typeof resolved.attrs[name] === 'function' ? resolved.attrs[name] : null;
     }
 
     /**
-     * Convert React-style event names to DOM event names
+     * Take nodes out of their parents
      * @private
-     * @param {string} eventName - React-style event name
-     * @returns {string} DOM event name
+     * @param {Array<Node>} nodes - Nodes to detach
      */
-    _convertEventName(eventName) {
-        // Remove 'on' prefix and convert to lowercase
-        const name = eventName.slice(2).toLowerCase();
-        
+    _detachNodes(nodes) {
+        nodes.forEach(node => {
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        });
+    }
+
+    /**
+     * Release what nodes that are being removed, and their descendants,
+     * hold on to: portal content, signal bindings and event listeners.
+     * Bindings are looked up by node, so the cost follows the size of the
+     * removed subtrees rather than the number of bindings.
+     * @private
+     * @param {Array<Node>} nodes - Nodes being removed
+     */
+    _releaseNodes(nodes) {
+        nodes.forEach(root => {
+            const walker = document.createTreeWalker(
+                root,
+                NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT
+            );
+
+            for (let node = root; node; node = walker.nextNode()) {
+                this.signalBindings.release(node);
+
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    this._cleanupEventListeners(node);
+                } else if (this.portals.has(node)) {
+                    this._removePortal(node);
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove the content of a portal whose placeholder is being removed
+     * @private
+     * @param {Comment} placeholder - Portal placeholder comment
+     */
+    _removePortal(placeholder) {
+        this.portals.delete(placeholder);
+
+        const content = this._getRangeNodes(placeholder._portalHandle);
+        this._releaseNodes(content);
+        this._detachNodes(content);
+    }
+
+    /**
+     * Create the text node for a signal rendered as a child
+     * @private
+     * @param {Signal} source - Signal
+     * @returns {Text} Text node bound to the signal
+     */
+    _createSignalText(source) {
+        const node = document.createTextNode('');
+        this._bindSignalText(node, source);
+        return node;
+    }
+
+    /**
+     * Keep a text node's content in sync with a signal
+     * @private
+     * @param {Text} node - Text node
+     * @param {Signal} source - Signal
+     */
+    _bindSignalText(node, source) {
+        this.signalBindings.bind(node, 'textContent', source, value => {
+            node.textContent = this._getSignalText(value);
+        });
+    }
+
+    /**
+     * Get the text a signal value renders as
+     * @private
+     * @param {*} value - Signal value
+     * @returns {string} Text (empty for null, undefined and booleans)
+     */
+    _getSignalText(value) {
+        return value == null || typeof value === 'boolean' ? '' : String(value);
+    }
+
+    /**
+     * Hydrate the DOM node at the cursor against a vnode and advance
+     * the cursor past the nodes it covers
+     * @private
+     * @param {*} vnode - Virtual node
+     * @param {Object} cursor - Current parent and node
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateNode(vnode, cursor, context) {
+        if (vnode == null || vnode === false || vnode === true) {
+            return;
+        }
+
+        if (this._isThunk(vnode)) {
+            this._hydrateNode(this._resolveThunk(vnode), cursor, context);
+            return;
+        }
+
+        // The adopted text node is bound to the signal
+        if (isSignal(vnode)) {
+            this._hydrateText(this._getSignalText(vnode.peek()), cursor, context);
+
+            const node = cursor.node ? cursor.node.previousSibling : cursor.parent.lastChild;
+            if (node && node.nodeType === Node.TEXT_NODE) {
+                this._bindSignalText(node, vnode);
+            }
+            return;
+        }
+
+        if (vnode.type === VNODE_TYPES.COMPONENT) {
+            this._hydrateComponent(vnode, cursor, context);
+            return;
+        }
+
+        if (this._isFragment(vnode)) {
+            // Server markup has no anchors, so add them around the adopted nodes
+            const children = this._flattenChildren(Array.isArray(vnode) ? vnode : vnode.children);
+            const [start, end] = this._createFragmentAnchors();
+            cursor.parent.insertBefore(start, cursor.node);
+            children.forEach(child => this._hydrateNode(child, cursor, context));
+            cursor.parent.insertBefore(end, cursor.node);
+            return;
+        }
+
+        if (typeof vnode !== 'object' || vnode.type === VNODE_TYPES.TEXT) {
+            this._hydrateText(typeof vnode === 'object' ? vnode.text : String(vnode), cursor, context);
+            return;
+        }
+
+        // Portal content is never part of the server markup around it
+        if (vnode.type === VNODE_TYPES.PORTAL) {
+            cursor.parent.insertBefore(this.createElement(vnode), cursor.node);
+            return;
+        }
+
+        this._skipWhitespace(cursor);
+        const node = cursor.node;
+
+        if (vnode.type === VNODE_TYPES.COMMENT) {
+            if (node && node.nodeType === Node.COMMENT_NODE) {
+                if (node.data.trim() !== vnode.comment.trim()) {
+                    this._reportMismatch(context, 'text', node, vnode.comment, node.data);
+                    if (context.repair) {
+                        node.data = vnode.comment;
+                    }
+                }
+                cursor.node = node.nextSibling;
+            } else {
+                this._hydrateMismatchedNode(vnode, cursor, context);
+            }
+            return;
+        }
+
+        if (!node || node.nodeType !== Node.ELEMENT_NODE || node.localName.toLowerCase() !== vnode.tag) {
+            this._hydrateMismatchedNode(vnode, cursor, context);
+            return;
+        }
+
+        cursor.node = node.nextSibling;
+        this._hydrateElement(node, vnode, context);
+    }
+
+    /**
+     * Hydrate a text vnode, splitting server text that merged adjacent
+     * text vnodes into one DOM text node
+     * @private
+     * @param {string} text - Expected text
+     * @param {Object} cursor - Current parent and node
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateText(text, cursor, context) {
+        const node = cursor.node;
+
+        // Empty strings render no markup on the server
+        if (text === '') {
+            cursor.parent.insertBefore(document.createTextNode(''), node);
+            return;
+        }
+
+        if (node && node.nodeType === Node.TEXT_NODE) {
+            if (node.data !== text) {
+                if (node.data.startsWith(text)) {
+                    node.splitText(text.length);
+                } else {
+                    this._reportMismatch(context, 'text', node, text, node.data);
+                    if (context.repair) {
+                        node.data = text;
+                    }
+                }
+            }
+            cursor.node = node.nextSibling;
+            return;
+        }
+
+        this._hydrateMismatchedNode(text, cursor, context);
+    }
+
+    /**
+     * Check attributes of an adopted element, attach its event handlers
+     * and ref, then hydrate its children
+     * @private
+     * @param {Element} element - Server-rendered element
+     * @param {Object} vnode - Virtual node
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateElement(element, vnode, context) {
+        const attrs = vnode.attrs || {};
+
+        Object.entries(attrs).forEach(([key, value]) => {
+            if (key === 'key' || key === 'ref' || LIFECYCLE_HOOKS.includes(key)) {
+                return;
+            }
+
+            if (key.startsWith('on') && (typeof value === 'function' || (value && value.handler))) {
+                this._setEventAttribute(element, key, value);
+                return;
+            }
+
+            // Bound attributes are set from the signal, whatever the server rendered
+            if (isSignal(value)) {
+                this._setAttribute(element, key, value);
+                return;
+            }
+
+            if (!this._hydratedAttributeMatches(element, key, value)) {
+                const name = key === 'className' ? 'class' : key;
+                this._reportMismatch(context, 'attribute', element, `${name}=${value}`, element.getAttribute(name));
+                if (context.repair) {
+                    this._setAttribute(element, key, value);
+                }
+            }
+        });
+
+        if (this.options.trackKeys && vnode.key) {
+            this.elementCache.set(element, vnode);
+        }
+
+        const ref = this._getRef(vnode);
+        if (ref) {
+            this._commitQueue.push(() => this._setRef(ref, element));
+        }
+
+        const onMount = this._getLifecycleHook(vnode, 'onMount');
+        if (onMount) {
+            this._commitQueue.push(() => onMount(element));
+        }
+
+        // Content set through innerHTML/textContent is not described by children
+        if ('innerHTML' in attrs || 'textContent' in attrs) {
+            return;
+        }
+
+        const cursor = { parent: element, node: element.firstChild };
+        (vnode.children || []).forEach(child => this._hydrateNode(child, cursor, context));
+        this._hydrateRemainder(cursor, context);
+    }
+
+    /**
+     * Compare a vnode attribute with what the server rendered.
+     * Values that only exist as properties (objects, style) are not compared.
+     * @private
+     * @param {Element} element - Server-rendered element
+     * @param {string} key - Attribute key
+     * @param {*} value - Attribute value from the vnode
+     * @returns {boolean} True if the markup matches
+     */
+    _hydratedAttributeMatches(element, key, value) {
+        if (key === 'style' || key === 'innerHTML' || key === 'textContent') {
+            return true;
+        }
+
+        if (key === 'class' || key === 'className') {
+            const expected = typeof value === 'string' ? value : cls(value);
+            return (element.getAttribute('class') || '') === expected;
+        }
+
+        if (value == null || value === false) {
+            return !element.hasAttribute(key);
+        }
+
+        if (value === true) {
+            return element.hasAttribute(key);
+        }
+
+        if (typeof value === 'object' || typeof value === 'function') {
+            return true;
+        }
+
+        return element.getAttribute(key) === String(value);
+    }
+
+    /**
+     * Handle a vnode whose node is missing or of the wrong kind
+     * @private
+     * @param {*} vnode - Virtual node
+     * @param {Object} cursor - Current parent and node
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateMismatchedNode(vnode, cursor, context) {
+        const node = cursor.node;
+        const expected = typeof vnode === 'object' ? vnode.tag || vnode.type : '#text';
+
+        if (!node) {
+            this._reportMismatch(context, 'missing', cursor.parent, expected, null);
+            if (context.repair) {
+                cursor.parent.appendChild(this.createElement(vnode, this._getChildNamespace(cursor.parent)));
+            }
+            return;
+        }
+
+        this._reportMismatch(context, 'tag', node, expected, node.nodeName.toLowerCase());
+        cursor.node = node.nextSibling;
+        if (context.repair) {
+            cursor.parent.replaceChild(this.createElement(vnode, this._getChildNamespace(cursor.parent)), node);
+        }
+    }
+
+    /**
+     * Handle server nodes left over after all vnodes were hydrated
+     * @private
+     * @param {Object} cursor - Current parent and node
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateRemainder(cursor, context) {
+        this._skipWhitespace(cursor);
+
+        while (cursor.node) {
+            const node = cursor.node;
+            cursor.node = node.nextSibling;
+
+            this._reportMismatch(context, 'extra', node, null, node.nodeName.toLowerCase());
+            if (context.repair) {
+                cursor.parent.removeChild(node);
+            }
+            this._skipWhitespace(cursor);
+        }
+    }
+
+    /**
+     * Drop whitespace-only text nodes left by markup formatting, which
+     * have no vnode and would break positional patching
+     * @private
+     * @param {Object} cursor - Current parent and node
+     */
+    _skipWhitespace(cursor) {
+        while (cursor.node && cursor.node.nodeType === Node.TEXT_NODE && !cursor.node.data.trim()) {
+            const next = cursor.node.nextSibling;
+            cursor.parent.removeChild(cursor.node);
+            cursor.node = next;
+        }
+    }
+
+    /**
+     * Record a hydration mismatch and report it in debug mode
+     * @private
+     * @param {Object} context - Hydration context
+     * @param {string} type - Mismatch type
+     * @param {Node} node - Node where the mismatch was found
+     * @param {*} expected - Expected value
+     * @param {*} actual - Value found in the markup
+     */
+    _reportMismatch(context, type, node, expected, actual) {
+        context.mismatches.push({ type, node, expected, actual });
+
+        if (this.options.debug) {
+            console.warn(`Hydration mismatch (${type}): expected ${JSON.stringify(expected)}, found ${JSON.stringify(actual)}`, node);
+        }
+    }
+
+    /**
+     * Replace a node rendered from a vnode with a new node
+     * @private
+     * @param {Node} node - DOM node to replace
+     * @param {*} vnode - Virtual node the old node was rendered from
+     * @param {Node|DocumentFragment} newNode - Replacement node
+     * @returns {Node} Node now standing for the new vnode
+     */
+    _replaceNode(node, vnode, newNode) {
+        const handle = this._getHandle(newNode);
+        const parent = node.parentNode;
+
+        if (parent) {
+            parent.insertBefore(newNode, node);
+        }
+        this._removeNode(node, vnode);
+
+        return handle;
+    }
+
+    /**
+     * Create the comment anchors that delimit a rendered fragment.
+     * The start anchor stands for the whole fragment when patching.
+     * @private
+     * @returns {Array<Comment>} Start and end anchors
+     */
+    _createFragmentAnchors() {
+        const start = document.createComment('fragment');
+        const end = document.createComment('/fragment');
+        start._fragmentEnd = end;
+        return [start, end];
+    }
+
+    /**
+     * Check whether a vnode renders as a fragment
+     * @private
+     * @param {*} vnode - Virtual node
+     * @returns {boolean} True for arrays and fragment vnodes
+     */
+    _isFragment(vnode) {
+        return Array.isArray(vnode) || (!!vnode && vnode.type === VNODE_TYPES.FRAGMENT);
+    }
+
+    /**
+     * Get the node that stands for freshly created content: the start
+     * anchor of a DocumentFragment, or the node itself
+     * @private
+     * @param {Node} node - Created node
+     * @returns {Node} Handle node
+     */
+    _getHandle(node) {
+        return node && node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? node.firstChild : node;
+    }
+
+    /**
+     * Get every DOM node a handle covers (a whole range for fragments)
+     * @private
+     * @param {Node} node - Handle node
+     * @returns {Array<Node>} Covered nodes in document order
+     */
+    _getRangeNodes(node) {
+        const nodes = [node];
+
+        if (node._fragmentEnd) {
+            let current = node;
+            while (current !== node._fragmentEnd && current.nextSibling) {
+                current = current.nextSibling;
+                nodes.push(current);
+            }
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Move the nodes a handle covers before a reference node
+     * @private
+     * @param {Element} parent - Parent node
+     * @param {Node} node - Handle node
+     * @param {Node|null} before - Reference node, null to append
+     */
+    _moveNode(parent, node, before) {
+        this._getRangeNodes(node).forEach(child => parent.insertBefore(child, before));
+    }
+
+    /**
+     * Collect the handle nodes of consecutive children
+     * @private
+     * @param {Node|null} firstNode - Node of the first child
+     * @param {number} count - Number of children
+     * @param {Node|null} endAnchor - Node after the last child
+     * @returns {Array<Node>} Handles aligned with the children
+     */
+    _collectNodes(firstNode, count, endAnchor) {
+        const nodes = [];
+        let node = firstNode;
+
+        while (nodes.length < count && node && node !== endAnchor) {
+            // Elements waiting for onBeforeRemove are no longer part of the tree
+            if (!node._leaving) {
+                nodes.push(node);
+            }
+            node = (node._fragmentEnd || node).nextSibling;
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Create an HTML, SVG or MathML element from a virtual node
+     * @private
+     * @param {Object} vnode - Virtual node
+     * @param {string|null} parentNamespace - Namespace inherited from the parent
+     * @returns {Element} Created element
+     */
+    _createElement(vnode, parentNamespace = null) {
+        const { tag, attrs, children } = vnode;
+
+        // Create the element, switching namespace at <svg> and <math>
+        const namespace = this._resolveNamespace(tag, parentNamespace);
+        const element = namespace
+            ? document.createElementNS(namespace, namespace === NAMESPACES.SVG ? SVG_TAG_NAMES[tag] || tag : tag)
+            : document.createElement(tag);
+
+        // Set attributes
+        this._setAttributes(element, attrs);
+
+        // Add children (a textarea's children are its value)
+        if (children && children.length > 0 && tag !== 'textarea') {
+            this._appendChildren(element, children, this._getChildNamespace(element));
+        }
+
+        // Form state needs the options of a select to be in place
+        this._applyControlledProps(element, vnode);
+
+        // Store vnode reference for future updates
+        if (this.options.trackKeys && vnode.key) {
+            this.elementCache.set(element, vnode);
+        }
+
+        // Refs and onMount run once the element is in the document
+        const ref = this._getRef(vnode);
+        if (ref) {
+            this._commitQueue.push(() => this._setRef(ref, element));
+        }
+
+        const onMount = this._getLifecycleHook(vnode, 'onMount');
+        if (onMount) {
+            this._commitQueue.push(() => onMount(element));
+        }
+
+        return element;
+    }
+
+    /**
+     * Create a text node
+     * @private
+     * @param {Object} vnode - Text virtual node
+     * @returns {Text} Text node
+     */
+    _createTextNode(vnode) {
+        const textContent = this.options.escapeHtml ? escapeHtml(vnode.text) : vnode.text;
+        return document.createTextNode(textContent);
+    }
+
+    /**
+     * Create a comment node
+     * @private
+     * @param {Object} vnode - Comment virtual node
+     * @returns {Comment} Comment node
+     */
+    _createComment(vnode) {
+        return document.createComment(vnode.comment);
+    }
+
+    /**
+     * Create a document fragment from children
+     * @private
+     * @param {Array} children - Child vnodes
+     * @param {string|null} namespace - Namespace inherited from the parent
+     * @returns {DocumentFragment|Element} Fragment or container element
+     */
+    _createFragment(children, namespace = null) {
+        const flatChildren = this._flattenChildren(children);
+
+        if (this.options.useDocumentFragment) {
+            // Anchors keep the fragment patchable once its nodes are inserted
+            const fragment = document.createDocumentFragment();
+            const [start, end] = this._createFragmentAnchors();
+            fragment.appendChild(start);
+            this._appendChildren(fragment, flatChildren, namespace);
+            fragment.appendChild(end);
+            return fragment;
+        } else {
+            // Use a div container if fragments are not supported
+            const container = document.createElement('div');
+            container.style.display = 'contents'; // CSS to make container invisible
+            this._appendChildren(container, flatChildren, namespace);
+            return container;
+        }
+    }
+
+    /**
+     * Render portal children into their target and return the placeholder
+     * comment that stands for the portal in its original position
+     * @private
+     * @param {Object} vnode - Portal virtual node
+     * @returns {Comment} Placeholder comment
+     */
+    _createPortal(vnode) {
+        const target = this._resolvePortalTarget(vnode.target);
+        const content = this._createFragment(vnode.children, this._getChildNamespace(target));
+        const placeholder = document.createComment('portal');
+
+        placeholder._portalHandle = this._getHandle(content);
+        placeholder._portalTarget = target;
+        target.appendChild(content);
+        this.portals.add(placeholder);
+
+        return placeholder;
+    }
+
+    /**
+     * Update a portal, moving its content if the target changed
+     * @private
+     * @param {Comment} placeholder - Portal placeholder comment
+     * @param {Object} oldVNode - Old portal vnode
+     * @param {Object} newVNode - New portal vnode
+     * @returns {Comment} Placeholder comment
+     */
+    _updatePortal(placeholder, oldVNode, newVNode) {
+        const handle = placeholder._portalHandle;
+        const target = this._resolvePortalTarget(newVNode.target);
+
+        if (target !== placeholder._portalTarget) {
+            this._moveNode(target, handle, null);
+            placeholder._portalTarget = target;
+        }
+
+        this._updateFragment(handle, oldVNode.children, newVNode.children);
+        return placeholder;
+    }
+
+    /**
+     * Resolve a portal target
+     * @private
+     * @param {string|Element} target - Target element or CSS selector
+     * @returns {Element} Target element
+     */
+    _resolvePortalTarget(target) {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+
+        if (!element || typeof element.appendChild !== 'function') {
+            throw new Error(`Portal target "${target}" not found`);
+        }
+
+        return element;
+    }
+
+    /**
+     * Create the instance behind a component vnode
+     * @private
+     * @param {Object} vnode - Component virtual node
+     * @returns {Component} Component instance
+     */
+    _instantiateComponent(vnode) {
+        const instance = createComponentInstance(vnode.tag, getComponentProps(vnode, this._shouldValidateProps()));
+
+        instance._dom = this;
+        instance._parent = this._currentComponent;
+        instance._depth = instance._parent ? instance._parent._depth + 1 : 0;
+        vnode._instance = instance;
+
+        // A ref on a component vnode receives the instance
+        const ref = this._getRef(vnode);
+        if (ref) {
+            this._commitQueue.push(() => this._setRef(ref, instance));
+        }
+
+        return instance;
+    }
+
+    /**
+     * Mount a component vnode: create its instance and render its subtree
+     * @private
+     * @param {Object} vnode - Component virtual node
+     * @param {string|null} namespace - Namespace inherited from the parent
+     * @returns {Node} DOM node for the rendered subtree
+     */
+    _createComponent(vnode, namespace) {
+        const instance = this._instantiateComponent(vnode);
+        const queueLength = this._commitQueue.length;
+        const mount = () => this._withComponent(instance, () => {
+            instance._vnode = this._renderComponent(instance);
+            return this.createElement(instance._vnode, namespace);
+        });
+
+        let node;
+        try {
+            node = mount();
+        } catch (error) {
+            // Only boundaries see errors (see _guard); they render their
+            // fallback instead of what failed
+            if (!instance._catches(error)) {
+                throw error;
+            }
+
+            this._discardRender(instance._vnode, queueLength);
+            instance._catchError(error);
+            node = mount();
+        }
+
+        instance._node = this._getHandle(node);
+        this._queueEffects(instance);
+        this._queueMounted(instance);
+        this._queueStateCallbacks(instance);
+        return node;
+    }
+
+    /**
+     * Patch a component vnode: the instance is kept and re-rendered with
+     * the new props
+     * @private
+     * @param {Node} element - DOM node the component's subtree starts at
+     * @param {Object} oldVNode - Old component vnode
+     * @param {Object} newVNode - New component vnode of the same component
+     * @returns {Node} DOM node the subtree starts at after the patch
+     */
+    _updateComponent(element, oldVNode, newVNode) {
+        const instance = oldVNode._instance;
+        const prevProps = instance.props;
+
+        newVNode._instance = instance;
+        instance.props = getComponentProps(newVNode, this._shouldValidateProps());
+
+        const oldRef = this._getRef(oldVNode);
+        const newRef = this._getRef(newVNode);
+        if (oldRef !== newRef) {
+            this._setRef(oldRef, null);
+            this._commitQueue.push(() => this._setRef(newRef, instance));
+        }
+
+        return this._rerenderComponent(instance, element, prevProps);
+    }
+
+    /**
+     * Render a component again and patch its previous subtree
+     * @private
+     * @param {Component} instance - Component instance
+     * @param {Node} element - DOM node the component's subtree starts at
+     * @param {Object} prevProps - Props before the update
+     * @returns {Node} DOM node the subtree starts at after the patch
+     */
+    _rerenderComponent(instance, element, prevProps = instance.props) {
+        this._dirtyComponents.delete(instance);
+
+        const prevState = instance.state;
+        const oldRendered = instance._vnode;
+        const queueLength = this._commitQueue.length;
+
+        let node;
+        try {
+            node = this._withComponent(instance, () => {
+                instance._vnode = this._renderComponent(instance);
+                return instance._patch(element, oldRendered, instance._vnode);
+            });
+        } catch (error) {
+            // The boundary that handles the error discards this subtree's
+            // nodes, so its old components are unmounted here
+            if (instance._findBoundary(error)) {
+                this._unmountVNode(oldRendered);
+            }
+
+            if (!instance._catches(error)) {
+                throw error;
+            }
+            return this._renderBoundaryFallback(instance, error, queueLength);
+        }
+
+        instance._setNode(node);
+        this._queueEffects(instance);
+        this._commitQueue.push(() => instance._callHook('updated', prevProps, prevState));
+        this._queueStateCallbacks(instance);
+
+        return node;
+    }
+
+    /**
+     * Queue the effects a render scheduled (useEffect) to run once the
+     * patch is in the document. Children render first, so their effects
+     * run before their parent's.
+     * @private
+     * @param {Component} instance - Component instance
+     */
+    _queueEffects(instance) {
+        instance._pendingEffects.splice(0).forEach(hook => {
+            this._commitQueue.push(() => instance._runEffect(hook));
+        });
+    }
+
+    /**
+     * Queue the callbacks of the setState calls a render applied, including
+     * those made before the component mounted
+     * @private
+     * @param {Component} instance - Component instance
+     */
+    _queueStateCallbacks(instance) {
+        instance._stateCallbacks.splice(0).forEach(callback => {
+            this._commitQueue.push(() => callback.call(instance));
+        });
+    }
+
+    /**
+     * Drop what a failed render created: its queued callbacks and the
+     * component instances it mounted
+     * @private
+     * @param {*} vnode - Partially rendered virtual node
+     * @param {number} queueLength - Commit queue length before the render
+     */
+    _discardRender(vnode, queueLength) {
+        this._commitQueue.length = queueLength;
+        this._unmountVNode(vnode);
+    }
+
+    /**
+     * Replace a boundary's subtree with its fallback
+     * @private
+     * @param {Component} boundary - Boundary instance
+     * @param {*} error - Value thrown below it
+     * @param {number} queueLength - Commit queue length before the failed render
+     * @returns {Node} DOM node the fallback starts at
+     */
+    _renderBoundaryFallback(boundary, error, queueLength) {
+        const nodes = this._getRangeNodes(boundary._node);
+        const parent = nodes[0].parentNode;
+
+        this._discardRender(boundary._vnode, queueLength);
+        boundary._catchError(error);
+
+        const node = this._withComponent(boundary, () => {
+            boundary._vnode = this._renderComponent(boundary);
+            return this.createElement(boundary._vnode, this._getChildNamespace(parent));
+        });
+        const handle = this._getHandle(node);
+
+        parent.insertBefore(node, nodes[0]);
+        this._releaseNodes(nodes);
+        this._detachNodes(nodes);
+
+        boundary._setNode(handle);
+        return handle;
+    }
+
+    /**
+     * Queue a component's `mounted` call for once its subtree is in the
+     * document
+     * @private
+     * @param {Component} instance - Component instance
+     */
+    _queueMounted(instance) {
+        this._commitQueue.push(() => {
+            if (!instance._isUnmounted) {
+                instance._isMounted = true;
+                instance._callHook('mounted');
+            }
+        });
+    }
+
+    /**
+     * Apply pending state and call the component's render
+     * @private
+     * @param {Component} instance - Component instance
+     * @returns {*} Rendered vnode (an empty comment for nothing)
+     */
+    _renderComponent(instance) {
+        instance._applyPendingState();
+        instance._releaseContexts();
+        const rendered = instance._render();
+
+        // Keep a node in place so the component can render content later
+        if (rendered == null || rendered === false || rendered === true) {
+            return this.createCommentVNode('');
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Run a function with a component as the one being rendered, so
+     * components created inside it know their parent
+     * @private
+     * @param {Component} instance - Component instance
+     * @param {Function} fn - Function to run
+     * @returns {*} Function result
+     */
+    _withComponent(instance, fn) {
+        const previous = this._currentComponent;
+        this._currentComponent = instance;
+
+        try {
+            return fn();
+        } finally {
+            this._currentComponent = previous;
+        }
+    }
+
+    /**
+     * Check whether component props are checked against their schema
+     * (debug mode only)
+     * @private
+     * @returns {boolean} True to validate props
+     */
+    _shouldValidateProps() {
+        return Boolean(this.options.debug && this.options.validateComponents);
+    }
+
+    /**
+     * Unmount a component vnode's instance and its rendered subtree
+     * @private
+     * @param {Object} vnode - Component virtual node
+     */
+    _unmountComponent(vnode) {
+        const instance = vnode._instance;
+
+        if (instance && !instance._isUnmounted) {
+            // Parents see their children still mounted; children are
+            // reported unmounted before their parents, once removed
+            if (instance._isMounted) {
+                instance._callHook('beforeUnmount');
+            }
+
+            instance._isUnmounted = true;
+            this._dirtyComponents.delete(instance);
+            this._unmountVNode(instance._vnode);
+            instance._release();
+
+            if (instance._isMounted) {
+                this._unmountQueue.push(() => instance._callHook('unmounted'));
+            }
+        }
+
+        const ref = this._getRef(vnode);
+        if (ref) {
+            this._setRef(ref, null);
+        }
+    }
+
+    /**
+     * Adopt server-rendered markup for a component vnode
+     * @private
+     * @param {Object} vnode - Component virtual node
+     * @param {Object} cursor - Hydration cursor
+     * @param {Object} context - Hydration options and collected mismatches
+     */
+    _hydrateComponent(vnode, cursor, context) {
+        const instance = this._instantiateComponent(vnode);
+
+        this._skipWhitespace(cursor);
+        const previous = cursor.node ? cursor.node.previousSibling : cursor.parent.lastChild;
+
+        this._withComponent(instance, () => {
+            instance._vnode = this._renderComponent(instance);
+            this._hydrateNode(instance._vnode, cursor, context);
+        });
+
+        instance._node = previous ? previous.nextSibling : cursor.parent.firstChild;
+        this._queueEffects(instance);
+        this._queueMounted(instance);
+        this._queueStateCallbacks(instance);
+    }
+
+    /**
+     * Queue a component for a batched re-render
+     * @private
+     * @param {Component} instance - Component instance
+     */
+    _scheduleComponentUpdate(instance) {
+        this._dirtyComponents.add(instance);
+
+        if (!this._componentFlushScheduled) {
+            this._componentFlushScheduled = true;
+            queueMicrotask(() => this._flushComponentUpdates());
+        }
+    }
+
+    /**
+     * Re-render queued components, parents first. A component re-rendered
+     * by its parent in the meantime is skipped.
+     * @private
+     */
+    _flushComponentUpdates() {
+        this._componentFlushScheduled = false;
+
+        Array.from(this._dirtyComponents)
+            .sort((a, b) => a._depth - b._depth)
+            .forEach(instance => {
+                if (this._dirtyComponents.has(instance) && !instance._isUnmounted) {
+                    this.updateComponent(instance);
+                }
+            });
+    }
+
+    /**
+     * Resolve the namespace an element should be created in
+     * @private
+     * @param {string} tag - Element tag name
+     * @param {string|null} parentNamespace - Namespace inherited from the parent
+     * @returns {string|null} Namespace URI, or null for HTML
+     */
+    _resolveNamespace(tag, parentNamespace) {
+        if (tag === 'svg') {
+            return NAMESPACES.SVG;
+        }
+        if (tag === 'math') {
+            return NAMESPACES.MATHML;
+        }
+        return parentNamespace;
+    }
+
+    /**
+     * Get the namespace children of an element inherit.
+     * Content of <foreignObject> goes back to HTML.
+     * @private
+     * @param {Node} parent - Parent node
+     * @returns {string|null} Namespace URI, or null for HTML
+     */
+    _getChildNamespace(parent) {
+        if (!parent || parent.nodeType !== Node.ELEMENT_NODE) {
+            return null;
+        }
+        if (parent.namespaceURI === NAMESPACES.SVG) {
+            return parent.localName === 'foreignObject' ? null : NAMESPACES.SVG;
+        }
+        if (parent.namespaceURI === NAMESPACES.MATHML) {
+            return NAMESPACES.MATHML;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether an element lives outside the HTML namespace
+     * @private
+     * @param {Element} element - DOM element
+     * @returns {boolean} True for SVG and MathML elements
+     */
+    _isForeignElement(element) {
+        return !!element.namespaceURI && element.namespaceURI !== NAMESPACES.HTML;
+    }
+
+    /**
+     * Set attributes on an element
+     * @private
+     * @param {Element} element - DOM element
+     * @param {Object} attrs - Attributes object
+     */
+    _setAttributes(element, attrs) {
+        Object.entries(attrs).forEach(([key, value]) => {
+            this._setAttribute(element, key, value);
+        });
+    }
+
+    /**
+     * Set a single attribute on an element
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} key - Attribute key
+     * @param {*} value - Attribute value
+     */
+    _setAttribute(element, key, value) {
+        // Skip special attributes
+        if (key === 'key' || key === 'ref' || LIFECYCLE_HOOKS.includes(key)) {
+            return;
+        }
+
+        this.signalBindings.unbind(element, key);
+
+        // A signal binds the attribute: it is set again whenever the signal
+        // changes, without re-rendering
+        if (isSignal(value)) {
+            this.signalBindings.bind(element, key, value, current => this._setAttributeValue(element, key, current));
+            return;
+        }
+
+        this._setAttributeValue(element, key, value);
+    }
+
+    /**
+     * Set a single attribute on an element to a plain value
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} key - Attribute key
+     * @param {*} value - Attribute value
+     */
+    _setAttributeValue(element, key, value) {
+        // Handle event attributes (onClick, onMouseOver, etc.)
+        if (key.startsWith('on') && (typeof value === 'function' || (value && value.handler))) {
+            this._setEventAttribute(element, key, value);
+            return;
+        }
+
+        if (this._isControlledProp(element, key)) {
+            this._setControlledProp(element, key, value);
+            return;
+        }
+
+        // Handle null/undefined values
+        if (value == null || value === false) {
+            this._removeAttribute(element, key);
+            return;
+        }
+
+        // SVG and MathML attributes are mostly read-only as properties
+        if (this._isForeignElement(element)) {
+            this._setForeignAttribute(element, key, value);
+            return;
+        }
+
+        // Handle boolean attributes
+        if (value === true) {
+            element.setAttribute(key, '');
+            return;
+        }
+
+        // Handle special cases
+        switch (key) {
+            case 'className':
+            case 'class':
+                this._setClass(element, value);
+                break;
+            case 'style':
+                this._setStyle(element, value);
+                break;
+            case 'disabled':
+                if (value) {
+                    element.setAttribute('disabled', '');
+                    element.disabled = true;
+                } else {
+                    element.removeAttribute('disabled');
+                    element.disabled = false;
+                }
+                break;
+            case 'readonly':
+                if (value) {
+                    element.setAttribute('readonly', '');
+                    element.readOnly = true;
+                } else {
+                    element.removeAttribute('readonly');
+                    element.readOnly = false;
+                }
+                break;
+            case 'innerHTML':
+                element.innerHTML = value;
+                break;
+            case 'textContent':
+                element.textContent = value;
+                break;
+            default:
+                // Handle data-* and aria-* attributes
+                if (key.startsWith('data-') || key.startsWith('aria-')) {
+                    element.setAttribute(key, value);
+                } else {
+                    // For other attributes, try to set as property first
+                    try {
+                        if (key in element) {
+                            element[key] = value;
+                        } else {
+                            element.setAttribute(key, value);
+                        }
+                    } catch (e) {
+                        element.setAttribute(key, value);
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Set an attribute on an SVG or MathML element
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} key - Attribute key
+     * @param {*} value - Attribute value
+     */
+    _setForeignAttribute(element, key, value) {
+        const attrValue = value === true ? '' : value;
+
+        switch (key) {
+            case 'className':
+            case 'class':
+                this._setClass(element, value);
+                break;
+            case 'style':
+                this._setStyle(element, value);
+                break;
+            default:
+                if (key.startsWith('xlink:')) {
+                    element.setAttributeNS(NAMESPACES.XLINK, key, attrValue);
+                } else if (key.startsWith('xml:')) {
+                    element.setAttributeNS(NAMESPACES.XML, key, attrValue);
+                } else {
+                    // setAttribute keeps the case, so viewBox stays viewBox
+                    element.setAttribute(key, attrValue);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Remove an attribute, including namespaced ones
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} key - Attribute key
+     */
+    _removeAttribute(element, key) {
+        if (key.startsWith('xlink:')) {
+            element.removeAttributeNS(NAMESPACES.XLINK, key.slice(6));
+        } else if (key.startsWith('xml:')) {
+            element.removeAttributeNS(NAMESPACES.XML, key.slice(4));
+        } else {
+            element.removeAttribute(key === 'className' ? 'class' : key);
+        }
+    }
+
+    /**
+     * Set event attribute on an element. Each element gets one native
+     * listener per event type, which calls whatever handler the latest
+     * vnode carries, so re-renders with new handler functions do not add
+     * or remove DOM listeners.
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} eventName - Event name (e.g., 'onClick')
+     * @param {Function|Object} handler - Event handler function or event config
+     */
+    _setEventAttribute(element, eventName, handler) {
+        const domEventName = this._convertEventName(eventName);
+        const config = typeof handler === 'function' ? { handler } : handler;
+        const options = this._getListenerOptions(config);
+        const optionsKey = Object.values(options).join('|');
+
+        if (!element._miniFrameworkEvents) {
+            element._miniFrameworkEvents = new Map();
+        }
+
+        const binding = element._miniFrameworkEvents.get(domEventName);
+
+        // Only the options a listener is registered with require a new one
+        if (binding && binding.optionsKey === optionsKey) {
+            binding.config = config;
+            return;
+        }
+
+        if (binding) {
+            this._removeEventAttribute(element, eventName);
+        }
+
+        const newBinding = { config, optionsKey, listenerId: null, listener: null };
+        const dispatch = event => this._dispatchEvent(newBinding, event);
+
+        if (this.eventManager) {
+            newBinding.listenerId = this.eventManager.on(element, domEventName, dispatch, options);
+        } else {
+            // Fallback to standard event handling with error reporting
+            newBinding.listener = event => {
+                try {
+                    return dispatch(event);
+                } catch (error) {
+                    this.errorBoundary.handleError(`Event handler ${eventName}`, error, ERROR_TYPES.COMPONENT);
+                }
+            };
+            element.addEventListener(domEventName, newBinding.listener, {
+                capture: options.capture,
+                passive: options.passive,
+                once: options.once
+            });
+        }
+
+        element._miniFrameworkEvents.set(domEventName, newBinding);
+    }
+
+    /**
+     * Get the options a native listener is registered with. Handler, data,
+     * condition, preventDefault and stopPropagation are read from the
+     * current config on every event instead.
+     * @private
+     * @param {Object} config - Event config ({ handler, once, debounce, ... })
+     * @returns {Object} Listener options
+     */
+    _getListenerOptions(config) {
+        const {
+            once = false,
+            passive = this.options.passive,
+            capture = this.options.capture,
+            debounce = 0,
+            throttle = 0,
+            priority = 'normal'
+        } = config;
+
+        return {
+            once,
+            passive,
+            capture,
+            debounce,
+            throttle,
+            priority: priority === 'high' ? 2 : priority === 'low' ? 0 : 1
+        };
+    }
+
+    /**
+     * Call the current handler of an event binding
+     * @private
+     * @param {Object} binding - Event binding stored on the element
+     * @param {Event} event - Event object
+     * @returns {*} Handler result
+     */
+    _dispatchEvent(binding, event) {
+        const {
+            handler,
+            data = {},
+            condition = null,
+            preventDefault = false,
+            stopPropagation = false
+        } = binding.config;
+
+        if (condition && !condition(event)) {
+            return undefined;
+        }
+
+        if (preventDefault) {
+            event.preventDefault();
+        }
+
+        if (stopPropagation) {
+            event.stopPropagation();
+        }
+
+        // Add custom data to event
+        if (Object.keys(data).length > 0) {
+            Object.assign(event, { customData: data });
+        }
+
+        return handler(event);
+    }
+
+    /**
+     * Convert React-style event names to DOM event names
+     * @private
+     * @param {string} eventName - React-style event name
+     * @returns {string} DOM event name
+     */
+    _convertEventName(eventName) {
+        // Remove 'on' prefix and convert to lowercase
+        const name = eventName.slice(2).toLowerCase();
+        
         // Handle special cases
         const eventMap = {
             'doubleclick': 'dblclick',
@@ -612,15 +1978,26 @@ export class DOM {
      * @param {string|Array|Object} value - Class value
      */
     _setClass(element, value) {
+        let className;
+
         if (typeof value === 'string') {
-            element.className = value;
+            className = value;
         } else if (Array.isArray(value)) {
-            element.className = value.filter(Boolean).join(' ');
+            className = value.filter(Boolean).join(' ');
         } else if (isPlainObject(value)) {
             const classes = Object.entries(value)
                 .filter(([, condition]) => condition)
-                .map(([className]) => className);
-            element.className = classes.join(' ');
+                .map(([name]) => name);
+            className = classes.join(' ');
+        } else {
+            return;
+        }
+
+        // className is a read-only SVGAnimatedString on SVG elements
+        if (this._isForeignElement(element)) {
+            element.setAttribute('class', className);
+        } else {
+            element.className = className;
         }
     }
 
@@ -649,10 +2026,11 @@ export class DOM {
      * @private
      * @param {Element|DocumentFragment} element - Parent element
      * @param {Array} children - Child vnodes
+     * @param {string|null} namespace - Namespace the children inherit
      */
-    _appendChildren(element, children) {
+    _appendChildren(element, children, namespace = null) {
         children.forEach(child => {
-            const childElement = this.createElement(child);
+            const childElement = this.createElement(child, namespace);
             if (childElement) {
                 element.appendChild(childElement);
             }
@@ -668,6 +2046,34 @@ export class DOM {
      * @returns {Element} Updated element
      */
     _updateElement(element, oldVNode, newVNode) {
+        // Memoized subtrees are skipped while their deps are unchanged
+        if (this._isThunk(oldVNode) || this._isThunk(newVNode)) {
+            if (this._isThunk(oldVNode) && this._isThunk(newVNode) &&
+                shallowEqual(oldVNode.deps, newVNode.deps)) {
+                newVNode.vnode = oldVNode.vnode;
+                this.stats.skippedSubtrees++;
+                return element;
+            }
+
+            return this._updateElement(element, this._resolveThunk(oldVNode), this._resolveThunk(newVNode));
+        }
+
+        // A signal's text node follows the signal on its own; it is only
+        // replaced when the vnode stops being that signal
+        if (isSignal(oldVNode) || isSignal(newVNode)) {
+            if (oldVNode === newVNode) {
+                return element;
+            }
+
+            const newElement = this.createElement(newVNode, this._getChildNamespace(element.parentNode));
+            return this._replaceNode(element, oldVNode, newElement);
+        }
+
+        // Fragments are patched as the range between their anchors
+        if (this._isFragment(oldVNode) && this._isFragment(newVNode)) {
+            return this._updateFragment(element, oldVNode, newVNode);
+        }
+
         // Handle primitive types
         if (typeof newVNode === 'string' || typeof newVNode === 'number' || typeof newVNode === 'boolean') {
             if (element.nodeType === Node.TEXT_NODE) {
@@ -679,24 +2085,27 @@ export class DOM {
             } else {
                 // Replace with text node
                 const textNode = document.createTextNode(String(newVNode));
-                if (element.parentNode) {
-                    element.parentNode.replaceChild(textNode, element);
-                }
-                return textNode;
+                return this._replaceNode(element, oldVNode, textNode);
             }
         }
 
         // Handle different vnode types
-        if (oldVNode.type !== newVNode.type || oldVNode.tag !== newVNode.tag) {
+        if (this._isFragment(oldVNode) || this._isFragment(newVNode) ||
+            oldVNode.type !== newVNode.type || oldVNode.tag !== newVNode.tag) {
             // Different types, replace completely
-            const newElement = this.createElement(newVNode);
-            if (element.parentNode) {
-                element.parentNode.replaceChild(newElement, element);
-            }
-            return newElement;
+            const newElement = this.createElement(newVNode, this._getChildNamespace(element.parentNode));
+            return this._replaceNode(element, oldVNode, newElement);
         }
 
         // Same type, update in place
+        if (newVNode.type === VNODE_TYPES.COMPONENT) {
+            return this._updateComponent(element, oldVNode, newVNode);
+        }
+
+        if (newVNode.type === VNODE_TYPES.PORTAL) {
+            return this._updatePortal(element, oldVNode, newVNode);
+        }
+
         if (newVNode.type === VNODE_TYPES.TEXT) {
             if (oldVNode.text !== newVNode.text) {
                 element.textContent = this.options.escapeHtml ? 
@@ -706,16 +2115,56 @@ export class DOM {
         }
 
         if (newVNode.type === VNODE_TYPES.ELEMENT) {
+            // Move the ref over if it changed
+            const oldRef = this._getRef(oldVNode);
+            const newRef = this._getRef(newVNode);
+            if (oldRef !== newRef) {
+                this._setRef(oldRef, null);
+                this._commitQueue.push(() => this._setRef(newRef, element));
+            }
+
             // Update attributes
             this._updateAttributes(element, oldVNode.attrs, newVNode.attrs);
             
             // Update children
-            this._updateChildren(element, oldVNode.children, newVNode.children);
+            if (newVNode.tag !== 'textarea') {
+                this._updateChildren(element, oldVNode.children, newVNode.children);
+            }
+
+            // Re-apply form state the user may have changed since the last patch
+            this._applyControlledProps(element, newVNode);
+
+            const onUpdate = this._getLifecycleHook(newVNode, 'onUpdate');
+            if (onUpdate) {
+                this._commitQueue.push(() => onUpdate(element, oldVNode));
+            }
         }
 
         return element;
     }
 
+    /**
+     * Update a fragment rendered between anchors (or inside its
+     * display: contents container when document fragments are disabled)
+     * @private
+     * @param {Node} node - Start anchor or container element
+     * @param {Object|Array} oldVNode - Old fragment vnode or array
+     * @param {Object|Array} newVNode - New fragment vnode or array
+     * @returns {Node} Start anchor or container element
+     */
+    _updateFragment(node, oldVNode, newVNode) {
+        const oldChildren = this._flattenChildren(Array.isArray(oldVNode) ? oldVNode : oldVNode.children);
+        const newChildren = this._flattenChildren(Array.isArray(newVNode) ? newVNode : newVNode.children);
+
+        if (node._fragmentEnd) {
+            this._patchChildren(node.parentNode, oldChildren, newChildren, node.nextSibling, node._fragmentEnd);
+        } else {
+            this._patchChildren(node, oldChildren, newChildren, node.firstChild, null);
+        }
+
+        return node;
+    }
+
     /**
      * Update element attributes
      * @private
@@ -730,9 +2179,10 @@ export class DOM {
             const oldValue = oldAttrs[key];
             const newValue = newAttrs[key];
             
-            if (oldValue !== newValue) {
+            if (oldValue !== newValue && !LIFECYCLE_HOOKS.includes(key)) {
                 // Special handling for event attributes
-                if (key.startsWith('on') && typeof oldValue === 'function' && newValue == null) {
+                if (key.startsWith('on') && newValue == null &&
+                    (typeof oldValue === 'function' || (oldValue && oldValue.handler))) {
                     this._removeEventAttribute(element, key);
                 } else {
                     this._setAttribute(element, key, newValue);
@@ -741,6 +2191,131 @@ export class DOM {
         });
     }
 
+    /**
+     * Check whether an attribute is form state kept as a property
+     * @private
+     * @param {Element} element - DOM element
+     * @param {string} key - Attribute key
+     * @returns {boolean} True for value, checked and selected on form elements
+     */
+    _isControlledProp(element, key) {
+        const tags = CONTROLLED_PROPS[key];
+        return Boolean(tags && tags.includes(element.tagName));
+    }
+
+    /**
+     * Set value, checked or selected as a property. Properties are only
+     * written when they differ, so re-applying them leaves the caret alone.
+     * @private
+     * @param {Element} element - Form element
+     * @param {string} key - Property name
+     * @param {*} value - Property value
+     */
+    _setControlledProp(element, key, value) {
+        if (key === 'checked' || key === 'selected') {
+            if (element[key] !== Boolean(value)) {
+                element[key] = Boolean(value);
+            }
+            return;
+        }
+
+        if (element.tagName === 'SELECT') {
+            this._setSelectValue(element, value);
+            return;
+        }
+
+        const text = value == null ? '' : String(value);
+
+        if (element.tagName === 'INPUT') {
+            // Keep the attribute in step for CSS selectors and form resets
+            if (value == null) {
+                element.removeAttribute('value');
+            } else if (element.getAttribute('value') !== text) {
+                element.setAttribute('value', text);
+            }
+        }
+
+        if (element.value !== text) {
+            this._setInputValue(element, text);
+        }
+    }
+
+    /**
+     * Write an input's value, keeping the selection of a focused input
+     * @private
+     * @param {HTMLInputElement|HTMLTextAreaElement} element - Input element
+     * @param {string} text - New value
+     */
+    _setInputValue(element, text) {
+        let selection = null;
+
+        // selectionStart throws for inputs without text selection (e.g. number)
+        try {
+            if (element === element.ownerDocument.activeElement && element.selectionStart != null) {
+                selection = [element.selectionStart, element.selectionEnd];
+            }
+        } catch {
+            selection = null;
+        }
+
+        element.value = text;
+
+        if (selection) {
+            element.setSelectionRange(Math.min(selection[0], text.length), Math.min(selection[1], text.length));
+        }
+    }
+
+    /**
+     * Select the options matching a value (an array for `<select multiple>`)
+     * @private
+     * @param {HTMLSelectElement} select - Select element
+     * @param {*} value - Selected value or values
+     */
+    _setSelectValue(select, value) {
+        const values = (Array.isArray(value) ? value : value == null ? [] : [value]).map(String);
+
+        Array.from(select.options).forEach(option => {
+            const selected = values.includes(option.value) && (select.multiple || option.value === values[0]);
+            if (option.selected !== selected) {
+                option.selected = selected;
+            }
+        });
+    }
+
+    /**
+     * Apply an element's controlled form state from its vnode. A textarea
+     * without a value attribute takes its text children as the value.
+     * @private
+     * @param {Element} element - DOM element
+     * @param {Object} vnode - Element virtual node
+     */
+    _applyControlledProps(element, vnode) {
+        const attrs = vnode.attrs || {};
+
+        Object.keys(CONTROLLED_PROPS).forEach(key => {
+            if (key in attrs && this._isControlledProp(element, key)) {
+                const value = isSignal(attrs[key]) ? attrs[key].peek() : attrs[key];
+                this._setControlledProp(element, key, value);
+            }
+        });
+
+        if (vnode.tag === 'textarea' && !('value' in attrs) && vnode.children && vnode.children.length > 0) {
+            this._setControlledProp(element, 'value', this._getTextContent(vnode.children));
+        }
+    }
+
+    /**
+     * Join the text of text-only children
+     * @private
+     * @param {Array} children - Child vnodes
+     * @returns {string} Text content
+     */
+    _getTextContent(children) {
+        return this._flattenChildren(children)
+            .map(child => typeof child === 'object' ? child.text || '' : String(child))
+            .join('');
+    }
+
     /**
      * Remove event attribute from an element
      * @private
@@ -749,25 +2324,20 @@ export class DOM {
      */
     _removeEventAttribute(element, eventName) {
         const domEventName = this._convertEventName(eventName);
-        
-        // Try EventManager first
-        if (element._miniFrameworkEventIds) {
-            const listenerId = element._miniFrameworkEventIds.get(domEventName);
-            if (listenerId && this.eventManager) {
-                this.eventManager.off(listenerId);
-                element._miniFrameworkEventIds.delete(domEventName);
-                return;
-            }
+        const binding = element._miniFrameworkEvents && element._miniFrameworkEvents.get(domEventName);
+
+        if (!binding) {
+            return;
         }
-        
-        // Fallback to standard cleanup
-        if (element._miniFrameworkEvents) {
-            const handler = element._miniFrameworkEvents.get(domEventName);
-            if (handler) {
-                element.removeEventListener(domEventName, handler);
-                element._miniFrameworkEvents.delete(domEventName);
-            }
+
+        if (binding.listenerId && this.eventManager) {
+            this.eventManager.off(binding.listenerId);
+        } else if (binding.listener) {
+            const { capture } = this._getListenerOptions(binding.config);
+            element.removeEventListener(domEventName, binding.listener, { capture });
         }
+
+        element._miniFrameworkEvents.delete(domEventName);
     }
 
     /**
@@ -776,22 +2346,10 @@ export class DOM {
      * @param {Element} element - DOM element
      */
     _cleanupEventListeners(element) {
-        // Clean up EventManager listeners
-        if (element._miniFrameworkEventIds) {
-            element._miniFrameworkEventIds.forEach((listenerId) => {
-                if (this.eventManager) {
-                    this.eventManager.off(listenerId);
-                }
-            });
-            element._miniFrameworkEventIds.clear();
-        }
-        
-        // Clean up standard event listeners
         if (element._miniFrameworkEvents) {
-            element._miniFrameworkEvents.forEach((handler, eventName) => {
-                element.removeEventListener(eventName, handler);
+            Array.from(element._miniFrameworkEvents.keys()).forEach(domEventName => {
+                this._removeEventAttribute(element, `on${domEventName}`);
             });
-            element._miniFrameworkEvents.clear();
         }
     }
 
@@ -803,22 +2361,42 @@ export class DOM {
      * @param {Array} newChildren - New children
      */
     _updateChildren(element, oldChildren = [], newChildren = []) {
+        this._patchChildren(element, oldChildren, newChildren, element.firstChild, null);
+    }
+
+    /**
+     * Update a run of sibling nodes rendered from a children array
+     * @private
+     * @param {Element} parent - Parent node
+     * @param {Array} oldChildren - Old children
+     * @param {Array} newChildren - New children
+     * @param {Node|null} firstNode - Node of the first old child
+     * @param {Node|null} endAnchor - Node after the run, null for the end of parent
+     */
+    _patchChildren(parent, oldChildren = [], newChildren = [], firstNode = null, endAnchor = null) {
+        const oldNodes = this._collectNodes(firstNode, oldChildren.length, endAnchor);
+
+        if (this._hasKeys(oldChildren) || this._hasKeys(newChildren)) {
+            this._updateKeyedChildren(parent, oldChildren, newChildren, oldNodes, endAnchor);
+            return;
+        }
+
         const maxLength = Math.max(oldChildren.length, newChildren.length);
         
         for (let i = 0; i < maxLength; i++) {
             const oldChild = oldChildren[i];
             const newChild = newChildren[i];
-            const childElement = element.childNodes[i];
+            const childElement = oldNodes[i];
             
             if (newChild == null) {
                 // Remove extra children
                 if (childElement) {
-                    element.removeChild(childElement);
+                    this._removeNode(childElement, oldChild);
                 }
             } else if (oldChild == null) {
                 // Add new children
-                const newElement = this.createElement(newChild);
-                element.appendChild(newElement);
+                const newElement = this.createElement(newChild, this._getChildNamespace(parent));
+                parent.insertBefore(newElement, endAnchor);
             } else {
                 // Update existing child
                 this.updateElement(childElement, oldChild, newChild);
@@ -826,6 +2404,223 @@ export class DOM {
         }
     }
 
+    /**
+     * Update children using keys to match old and new vnodes.
+     * Matched nodes are patched and moved, unmatched ones are created or
+     * removed. Nodes on the longest increasing subsequence of old positions
+     * stay where they are, so a reorder moves as few DOM nodes as possible.
+     * @private
+     * @param {Element} parent - Parent node
+     * @param {Array} oldChildren - Old children
+     * @param {Array} newChildren - New children
+     * @param {Array<Node>} oldNodes - DOM nodes aligned with oldChildren
+     * @param {Node|null} endAnchor - Node after the children, null for the end of parent
+     */
+    _updateKeyedChildren(parent, oldChildren, newChildren, oldNodes, endAnchor) {
+        const oldKeyed = new Map();
+        const oldUnkeyed = [];
+
+        oldChildren.forEach((child, index) => {
+            const key = this._getKey(child);
+            if (key == null) {
+                oldUnkeyed.push(index);
+            } else if (oldKeyed.has(key)) {
+                this._warnDuplicateKey(key);
+                oldUnkeyed.push(index);
+            } else {
+                oldKeyed.set(key, index);
+            }
+        });
+
+        // Pair every new child with the old child it should reuse (-1 = none)
+        const seenKeys = new Set();
+        const sources = newChildren.map(child => {
+            const key = this._getKey(child);
+
+            if (key != null) {
+                if (seenKeys.has(key)) {
+                    this._warnDuplicateKey(key);
+                    return -1;
+                }
+                seenKeys.add(key);
+
+                const index = oldKeyed.get(key);
+                if (index !== undefined && this._isSameVNodeType(oldChildren[index], child)) {
+                    oldKeyed.delete(key);
+                    return index;
+                }
+                return -1;
+            }
+
+            const unkeyedIndex = oldUnkeyed.findIndex(index =>
+                this._isSameVNodeType(oldChildren[index], child)
+            );
+            return unkeyedIndex === -1 ? -1 : oldUnkeyed.splice(unkeyedIndex, 1)[0];
+        });
+
+        // Remove old nodes that were not reused
+        const reused = new Set(sources);
+        oldNodes.forEach((node, index) => {
+            if (!reused.has(index)) {
+                this._removeNode(node, oldChildren[index]);
+            }
+        });
+
+        // Patch reused nodes and create the missing ones
+        const namespace = this._getChildNamespace(parent);
+        const newNodes = newChildren.map((child, i) => {
+            const source = sources[i];
+            if (source === -1) {
+                return this._getHandle(this.createElement(child, namespace));
+            }
+            return this.updateElement(oldNodes[source], oldChildren[source], child);
+        });
+
+        // Place nodes from the end so each insert has a settled reference node
+        const stable = this._longestIncreasingSubsequence(sources);
+        let anchor = endAnchor;
+        let stableIndex = stable.length - 1;
+
+        for (let i = newNodes.length - 1; i >= 0; i--) {
+            const node = newNodes[i];
+            const isStable = stableIndex >= 0 && stable[stableIndex] === i;
+            if (isStable) {
+                stableIndex--;
+            }
+            if (!node) {
+                continue;
+            }
+            if (!isStable || node.parentNode !== parent) {
+                this._moveNode(parent, node, anchor);
+            }
+            anchor = node;
+        }
+    }
+
+    /**
+     * Check whether any vnode in a children array carries a key
+     * @private
+     * @param {Array} children - Children array
+     * @returns {boolean} True if at least one child is keyed
+     */
+    _hasKeys(children) {
+        return children.some(child => this._getKey(child) != null);
+    }
+
+    /**
+     * Get the reconciliation key of a vnode
+     * @private
+     * @param {*} vnode - Virtual node
+     * @returns {*} Key or null
+     */
+    _getKey(vnode) {
+        if (vnode == null || typeof vnode !== 'object') {
+            return null;
+        }
+        if (vnode.key != null) {
+            return vnode.key;
+        }
+        return vnode.attrs && vnode.attrs.key != null ? vnode.attrs.key : null;
+    }
+
+    /**
+     * Check whether a value is a thunk vnode
+     * @private
+     * @param {*} vnode - Value to check
+     * @returns {boolean} True for thunks
+     */
+    _isThunk(vnode) {
+        return vnode != null && typeof vnode === 'object' && vnode.type === VNODE_TYPES.THUNK;
+    }
+
+    /**
+     * Get the subtree a thunk renders, rendering it on first use
+     * @private
+     * @param {*} vnode - Thunk or any other vnode
+     * @returns {*} Rendered subtree, or the vnode itself if it is no thunk
+     */
+    _resolveThunk(vnode) {
+        if (!this._isThunk(vnode)) {
+            return vnode;
+        }
+
+        if (vnode.vnode == null) {
+            vnode.vnode = vnode.render(...vnode.deps);
+        }
+
+        return vnode.vnode;
+    }
+
+    /**
+     * Check whether two vnodes can be patched into each other
+     * @private
+     * @param {*} a - First vnode
+     * @param {*} b - Second vnode
+     * @returns {boolean} True if the vnodes share type and tag
+     */
+    _isSameVNodeType(a, b) {
+        if (this._isFragment(a) || this._isFragment(b)) {
+            return this._isFragment(a) && this._isFragment(b);
+        }
+
+        const isPrimitive = value => value == null || typeof value !== 'object';
+        if (isPrimitive(a) || isPrimitive(b)) {
+            return isPrimitive(a) && isPrimitive(b);
+        }
+        return a.type === b.type && a.tag === b.tag;
+    }
+
+    /**
+     * Warn about a duplicate key among siblings in debug mode
+     * @private
+     * @param {*} key - Duplicate key
+     */
+    _warnDuplicateKey(key) {
+        if (this.options.debug) {
+            console.warn(`Duplicate key "${key}" found among sibling vnodes; keys must be unique`);
+        }
+    }
+
+    /**
+     * Find the positions of the longest increasing subsequence of old
+     * indices, ignoring entries without an old counterpart (-1)
+     * @private
+     * @param {Array<number>} sources - Old index for each new child
+     * @returns {Array<number>} Positions in sources forming the subsequence
+     */
+    _longestIncreasingSubsequence(sources) {
+        const predecessors = new Array(sources.length);
+        const tails = [];
+
+        sources.forEach((value, i) => {
+            if (value === -1) {
+                return;
+            }
+
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sources[tails[mid]] < value) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            predecessors[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+
+        const result = new Array(tails.length);
+        let current = tails[tails.length - 1];
+        for (let i = tails.length - 1; i >= 0; i--) {
+            result[i] = current;
+            current = predecessors[current];
+        }
+        return result;
+    }
+
     /**
      * Flatten children array recursively
      * @private
@@ -860,7 +2655,7 @@ export class DOM {
             throw new Error('Invalid virtual node: missing tag or type');
         }
 
-        if (vnode.tag && typeof vnode.tag !== 'string') {
+        if (vnode.tag && typeof vnode.tag !== 'string' && vnode.type !== VNODE_TYPES.COMPONENT) {
             throw new Error('Virtual node tag must be a string');
         }
 
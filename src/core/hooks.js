@@ -0,0 +1,225 @@
+/**
+ * Hooks
+ * State, effects and store bindings for function components
+ * @module core/hooks
+ */
+
+import { getCurrentInstance } from './component-instance.js';
+import { shallowEqual } from '../utils/helpers.js';
+
+/**
+ * Get the current component's hook slot for this call
+ * @private
+ * @param {string} type - Hook name
+ * @returns {{hook: Object, instance: Component, isNew: boolean}} Hook slot
+ * @throws {Error} Outside a function component render, or (in strict
+ * mode) when hooks are called in a different order than before
+ */
+function useHook(type) {
+    const instance = getCurrentInstance();
+
+    if (!instance || !instance._renderFunction) {
+        throw new Error(`${type} can only be called while rendering a function component`);
+    }
+
+    const index = instance._hookIndex++;
+    const hook = instance._hooks[index];
+    const strict = Boolean(instance._dom && instance._dom.options.strictMode);
+
+    if (!hook) {
+        if (strict && instance._vnode !== null) {
+            throw new Error(
+                `${instance._getName()} called ${type} as hook #${index + 1}, which it did not call ` +
+                'during the previous render. Call hooks at the top level of the component, not inside ' +
+                'conditions or loops.'
+            );
+        }
+
+        const newHook = { type };
+        instance._hooks[index] = newHook;
+        return { hook: newHook, instance, isNew: true };
+    }
+
+    if (strict && hook.type !== type) {
+        throw new Error(
+            `${instance._getName()} called ${type} as hook #${index + 1}, where the previous render ` +
+            `called ${hook.type}. Call hooks at the top level of the component, not inside conditions ` +
+            'or loops.'
+        );
+    }
+
+    return { hook, instance, isNew: false };
+}
+
+/**
+ * Check whether effect or memo dependencies changed
+ * @private
+ * @param {Array|undefined} previous - Previous dependencies
+ * @param {Array|undefined} next - New dependencies
+ * @returns {boolean} True if the hook has to run again
+ */
+function depsChanged(previous, next) {
+    return previous === undefined || next === undefined || !shallowEqual(previous, next);
+}
+
+/**
+ * Slot shared by useState and useReducer
+ * @private
+ */
+function useReducerHook(type, reducer, initialArg, init) {
+    const { hook, instance, isNew } = useHook(type);
+
+    // The latest reducer sees the latest props
+    hook.reducer = reducer;
+
+    if (isNew) {
+        hook.value = init ? init(initialArg) : initialArg;
+        hook.dispatch = action => {
+            const next = hook.reducer(hook.value, action);
+            if (!Object.is(next, hook.value)) {
+                hook.value = next;
+                instance._requestUpdate();
+            }
+        };
+    }
+
+    return [hook.value, hook.dispatch];
+}
+
+/**
+ * Local state for a function component
+ * @param {*|Function} initialState - Initial value, or a function computing it
+ * @returns {Array} `[value, setValue]`; setValue takes a value or an updater
+ * function and re-renders the component when the value changes
+ */
+export function useState(initialState) {
+    return useReducerHook(
+        'useState',
+        (state, action) => typeof action === 'function' ? action(state) : action,
+        initialState,
+        typeof initialState === 'function' ? initialState : null
+    );
+}
+
+/**
+ * Local state updated through a reducer
+ * @param {Function} reducer - (state, action) => new state
+ * @param {*} initialArg - Initial state, or the argument for `init`
+ * @param {Function} init - Optional function computing the initial state
+ * @returns {Array} `[state, dispatch]`
+ */
+export function useReducer(reducer, initialArg, init = null) {
+    return useReducerHook('useReducer', reducer, initialArg, init);
+}
+
+/**
+ * Run a side effect after the component is in the document. The effect
+ * runs again after renders where a dependency changed (after every render
+ * without deps); a function it returns is called before the next run and
+ * on unmount.
+ * @param {Function} effect - Effect, optionally returning a cleanup function
+ * @param {Array} deps - Dependencies
+ */
+export function useEffect(effect, deps) {
+    const { hook, instance, isNew } = useHook('useEffect');
+
+    if (isNew || depsChanged(hook.deps, deps)) {
+        hook.effect = effect;
+        hook.deps = deps;
+        instance._pendingEffects.push(hook);
+    }
+}
+
+/**
+ * Memoize a computed value until a dependency changes
+ * @param {Function} factory - Function computing the value
+ * @param {Array} deps - Dependencies
+ * @returns {*} Memoized value
+ */
+export function useMemo(factory, deps) {
+    const { hook, isNew } = useHook('useMemo');
+
+    if (isNew || depsChanged(hook.deps, deps)) {
+        hook.value = factory();
+        hook.deps = deps;
+    }
+
+    return hook.value;
+}
+
+/**
+ * Mutable object that lives as long as the component
+ * @param {*} initialValue - Initial `current` value
+ * @returns {{current: *}} Ref object
+ */
+export function useRef(initialValue = null) {
+    const { hook, isNew } = useHook('useRef');
+
+    if (isNew) {
+        hook.value = { current: initialValue };
+    }
+
+    return hook.value;
+}
+
+/**
+ * Read the value of the nearest provider of a context. The component
+ * re-renders when that value changes.
+ * @param {Object} context - Context from createContext()
+ * @returns {*} Provided value, or the context's default value
+ */
+export function useContext(context) {
+    const instance = getCurrentInstance();
+
+    if (!instance) {
+        throw new Error('useContext can only be called while rendering a function component');
+    }
+
+    return instance.getContext(context);
+}
+
+/**
+ * Bind to a slice of the framework's StateManager. The component re-renders
+ * only when the value at `path` changes.
+ * @param {string} path - State path (dot notation)
+ * @returns {Array} `[value, setValue]`; setValue writes the path
+ */
+export function useStore(path) {
+    const { hook, instance } = useHook('useStore');
+    const store = instance._dom && instance._dom.store;
+
+    if (!store) {
+        throw new Error('useStore needs a StateManager: render through MiniFramework or mount()');
+    }
+
+    if (hook.path !== path) {
+        if (hook.cleanup) {
+            hook.cleanup();
+        }
+
+        hook.path = path;
+        hook.cleanup = store.watch(path, () => instance._requestUpdate());
+        hook.setValue = value => store.setState(path, value);
+    }
+
+    return [store.getState(path), hook.setValue];
+}
+
+/**
+ * Get the Router of the app or root the component renders in
+ * @returns {Router} Router instance
+ */
+export function useRouter() {
+    const instance = getCurrentInstance();
+
+    if (!instance) {
+        throw new Error('useRouter can only be called while rendering a function component');
+    }
+
+    const router = instance._dom && instance._dom.router;
+    if (!router) {
+        throw new Error('useRouter needs a Router: render through MiniFramework or pass one to mount()');
+    }
+
+    return router;
+}
@@ -5,6 +5,14 @@
 
 export { MiniFramework } from './component.js';
 export { DOM } from './dom.js';
+export { Component } from './component-instance.js';
+export { useState, useReducer, useEffect, useMemo, useRef, useContext, useStore, useRouter } from './hooks.js';
+export { createContext } from './context.js';
+export { errorBoundary, suspense, lazy } from './boundaries.js';
+export { slot, hasSlot } from './slots.js';
+export { keepAlive } from './keep-alive.js';
+export { mount, mountIslands } from './mount.js';
+export { Signal, signal, computed, effect, untracked, isSignal } from './signals.js';
 export { EventManager } from './dom-events.js';
 export { StateManager } from './state.js';
 export { Router } from './router.js';
@@ -0,0 +1,223 @@
+/**
+ * Keep-Alive
+ * Wrapper that keeps components it stops rendering (with their DOM and
+ * state) for when they are rendered again
+ * @module core/keep-alive
+ */
+
+import { Component } from './component-instance.js';
+import { h } from '../utils/dom-helpers.js';
+
+/**
+ * Check whether a component name matches an include/exclude pattern
+ * @private
+ * @param {string|RegExp|Array<string|RegExp>} pattern - Comma-separated
+ * names, regular expression, or a list of either
+ * @param {string} name - Component name
+ * @returns {boolean} True if the name matches
+ */
+function matchesName(pattern, name) {
+    if (Array.isArray(pattern)) {
+        return pattern.some(entry => matchesName(entry, name));
+    }
+
+    if (pattern instanceof RegExp) {
+        return pattern.test(name);
+    }
+
+    return String(pattern).split(',').some(entry => entry.trim() === name);
+}
+
+/**
+ * Collect the component instances of a rendered vnode subtree, parents
+ * before their children
+ * @private
+ * @param {*} vnode - Rendered virtual node
+ * @param {Array<Component>} components - Instances collected so far
+ * @returns {Array<Component>} Component instances
+ */
+function collectComponents(vnode, components = []) {
+    if (vnode == null || typeof vnode !== 'object') {
+        return components;
+    }
+
+    if (Array.isArray(vnode)) {
+        vnode.forEach(child => collectComponents(child, components));
+    } else if (vnode.type === 'thunk') {
+        collectComponents(vnode.vnode, components);
+    } else if (vnode.type === 'component') {
+        if (vnode._instance) {
+            components.push(vnode._instance);
+            collectComponents(vnode._instance._vnode, components);
+        }
+    } else if (vnode.children) {
+        vnode.children.forEach(child => collectComponents(child, components));
+    }
+
+    return components;
+}
+
+/**
+ * Keeps inactive children detached instead of unmounting them
+ * @private
+ */
+class KeepAliveComponent extends Component {
+    constructor(props) {
+        super(props);
+
+        // Cache key -> { vnode, fragment }, least recently used first
+        this._cache = new Map();
+    }
+
+    beforeUnmount() {
+        this._cache.forEach(entry => this._discard(entry));
+        this._cache.clear();
+    }
+
+    /**
+     * Patch the child. When it switches to another component, the old one
+     * is detached into the cache instead of unmounted, and the new one is
+     * taken from the cache if it was kept.
+     * @private
+     * @param {Node} element - DOM node the old child starts at
+     * @param {*} oldVNode - Old child
+     * @param {*} newVNode - New child
+     * @returns {Node} DOM node the new child starts at
+     */
+    _patch(element, oldVNode, newVNode) {
+        const dom = this._dom;
+        const oldKey = this._cacheKey(oldVNode);
+        const newKey = this._cacheKey(newVNode);
+
+        if (dom._isSameVNodeType(oldVNode, newVNode) && dom._getKey(oldVNode) === dom._getKey(newVNode)) {
+            return dom._updateElement(element, oldVNode, newVNode);
+        }
+
+        const nodes = dom._getRangeNodes(element);
+        const parent = nodes[0].parentNode;
+        const cached = newKey !== null ? this._take(newKey) : null;
+
+        let node;
+        if (cached) {
+            // Children are told first, like mounted
+            const activated = collectComponents(cached.vnode).reverse();
+            const handle = cached.vnode._instance._node;
+
+            parent.insertBefore(cached.fragment, nodes[0]);
+            node = dom._updateElement(handle, cached.vnode, newVNode);
+            dom._commitQueue.push(() => {
+                activated.forEach(component => component._callHook('activated'));
+            });
+        } else {
+            const created = dom.createElement(newVNode, dom._getChildNamespace(parent));
+            node = dom._getHandle(created);
+            parent.insertBefore(created, nodes[0]);
+        }
+
+        if (oldKey === null) {
+            dom._removeNode(element, oldVNode);
+            return node;
+        }
+
+        // Parents are told first, while the subtree is still in the document
+        collectComponents(oldVNode)
+            .filter(component => component._isMounted)
+            .forEach(component => component._callHook('deactivated'));
+
+        const fragment = document.createDocumentFragment();
+        nodes.forEach(child => fragment.appendChild(child));
+
+        this._put(oldKey, { vnode: oldVNode, fragment }).forEach(evicted => this._discard(evicted));
+        return node;
+    }
+
+    /**
+     * Unmount a cached child and release its detached nodes
+     * @private
+     * @param {Object} entry - Cached vnode and the fragment holding its nodes
+     */
+    _discard(entry) {
+        this._dom._unmountVNode(entry.vnode);
+        this._dom._releaseNodes(Array.from(entry.fragment.childNodes));
+    }
+
+    /**
+     * Get the key a child is cached under
+     * @private
+     * @param {*} vnode - Rendered child
+     * @returns {*} Cache key, or null if the child is not kept alive
+     */
+    _cacheKey(vnode) {
+        if (vnode == null || typeof vnode !== 'object' || vnode.type !== 'component') {
+            return null;
+        }
+
+        const name = vnode.tag.name || '';
+        const { include, exclude } = this.props;
+        if ((include != null && !matchesName(include, name)) || (exclude != null && matchesName(exclude, name))) {
+            return null;
+        }
+
+        return vnode.key != null ? vnode.key : vnode.tag;
+    }
+
+    /**
+     * Take a cached child out of the cache
+     * @private
+     * @param {*} key - Cache key
+     * @returns {Object|null} Cached vnode and the fragment holding its nodes
+     */
+    _take(key) {
+        const entry = this._cache.get(key);
+        this._cache.delete(key);
+        return entry || null;
+    }
+
+    /**
+     * Cache a detached child as the most recently used
+     * @private
+     * @param {*} key - Cache key
+     * @param {Object} entry - Detached vnode and the fragment holding its nodes
+     * @returns {Array<Object>} Entries evicted beyond `max`, to be unmounted
+     */
+    _put(key, entry) {
+        this._cache.set(key, entry);
+
+        const evicted = [];
+        const max = this.props.max;
+        for (const [cachedKey, cached] of this._cache) {
+            if (!(max > 0) || this._cache.size <= max) {
+                break;
+            }
+            this._cache.delete(cachedKey);
+            evicted.push(cached);
+        }
+        return evicted;
+    }
+
+    render() {
+        const children = this.props.children;
+        return children.length > 0 ? children[0] : null;
+    }
+}
+
+/**
+ * Create a keep-alive vnode. When its child switches to another component
+ * (e.g. tabs or routes), the previous one is detached from the document
+ * instead of unmounted, keeping its DOM (scroll position, form drafts) and
+ * state, and it is re-attached when rendered again. Components of the
+ * subtree are notified with `deactivated` and `activated`.
+ * @param {Object} options - Keep-alive options
+ * @param {string|RegExp|Array} options.include - Names of the components to
+ * keep (comma-separated string, RegExp or list of either); all by default
+ * @param {string|RegExp|Array} options.exclude - Names of the components never kept
+ * @param {number} options.max - Most components kept; the least recently
+ * used one is unmounted beyond it
+ * @param {*} child - Single child vnode, usually the current page
+ * @returns {Object} Component virtual node
+ * @example
+ * keepAlive({ include: ['Inbox', 'Drafts'], max: 5 }, h(pages[currentTab]));
+ */
+export function keepAlive(options = {}, child = null) {
+    return h(KeepAliveComponent, { ...options }, child);
+}
@@ -0,0 +1,213 @@
+/**
+ * Roots and Islands
+ * Independent component roots mounted on any element, e.g. widgets in
+ * server-rendered pages, and islands mounted from `data-component`
+ * attributes
+ * @module core/mount
+ */
+
+import { DOM } from './dom.js';
+import { EventManager } from './dom-events.js';
+import { StateManager } from './state.js';
+import { h } from '../utils/dom-helpers.js';
+
+// Container element -> Root mounted on it
+const mountedRoots = new WeakMap();
+
+/**
+ * A component rendered into its own container, with its own DOM and event
+ * delegation. Created by mount().
+ * @private
+ */
+class Root {
+    constructor(component, element, options) {
+        const { props = {}, state = {}, router = null, debug = false, strictMode = false } = options;
+
+        this.element = element;
+        this.component = component;
+        this.props = { ...props };
+
+        // A StateManager passed in is shared with other roots and outlives this one
+        this._ownsStore = !(state instanceof StateManager);
+        this.store = this._ownsStore ? new StateManager(state, debug) : state;
+        this.router = router;
+
+        this.events = new EventManager({ debug });
+        this.events.init(element);
+        this.dom = new DOM({ debug, strictMode, ...options.dom }, this.events);
+        this.dom.store = this.store;
+        this.dom.router = router;
+
+        this._vnode = null;
+        this._isUnmounted = false;
+    }
+
+    /**
+     * Render the component into the element, adopting its markup when
+     * hydrating
+     * @private
+     * @param {boolean} hydrate - Adopt server-rendered markup
+     */
+    _mount(hydrate) {
+        this._vnode = h(this.component, this.props);
+
+        if (hydrate) {
+            this.dom.hydrate(this._vnode, this.element, { repair: true });
+        } else {
+            this.element.innerHTML = '';
+            this.dom.render(this._vnode, this.element);
+        }
+    }
+
+    /**
+     * Re-render the component with new props, merged into the current ones
+     * @param {Object} props - Props to change
+     * @returns {Root} This root for chaining
+     */
+    update(props = {}) {
+        if (this._isUnmounted) {
+            return this;
+        }
+
+        this.props = { ...this.props, ...props };
+
+        const vnode = h(this.component, this.props);
+        this.dom.patch(this.element, this._vnode, vnode);
+        this._vnode = vnode;
+        return this;
+    }
+
+    /**
+     * Unmount the component and release the root's DOM, event delegation
+     * and (unless shared) state
+     */
+    unmount() {
+        if (this._isUnmounted) {
+            return;
+        }
+
+        this._isUnmounted = true;
+        this.dom.updateElement(this.element.firstChild, this._vnode, null);
+        this.dom.cleanup();
+        this.events.destroy();
+
+        if (this._ownsStore) {
+            this.store.destroy();
+        }
+
+        this.element.innerHTML = '';
+        this._vnode = null;
+        mountedRoots.delete(this.element);
+    }
+}
+
+/**
+ * Mount a component into an element as an independent root. Several roots
+ * can live on one page; each has its own DOM and event delegation, and
+ * they share state or routing only when given the same StateManager or
+ * Router.
+ * @param {Function} component - Component function or class
+ * @param {Element|string} element - Container element, or a CSS selector for it
+ * @param {Object} options - Root options
+ * @param {Object} options.props - Props for the component
+ * @param {Object|StateManager} options.state - Initial state of the root's
+ * own StateManager, or a StateManager to share (used by useStore)
+ * @param {Router} options.router - Router to share (used by useRouter)
+ * @param {boolean} options.hydrate - Adopt the element's server-rendered markup
+ * instead of replacing it
+ * @param {boolean} options.debug - Enable debug mode
+ * @param {boolean} options.strictMode - Enable strict mode for development
+ * @param {Object} options.dom - Additional DOM options
+ * @returns {Root} Handle with `update(props)` and `unmount()`
+ * @example
+ * const store = new StateManager({ cart: [] });
+ *
+ * const cart = mount(CartButton, '#cart', { state: store });
+ * mount(ProductList, '#products', { state: store, props: { category: 'books' } });
+ *
+ * cart.update({ compact: true });
+ * cart.unmount();
+ */
+export function mount(component, element, options = {}) {
+    const container = typeof element === 'string' ? document.querySelector(element) : element;
+
+    if (!container || !container.appendChild) {
+        throw new Error(`Mount element "${element}" not found`);
+    }
+
+    if (typeof component !== 'function') {
+        throw new Error('mount() needs a component function or class');
+    }
+
+    if (mountedRoots.has(container)) {
+        throw new Error('Element already has a mounted root; unmount it first');
+    }
+
+    const root = new Root(component, container, options);
+    mountedRoots.set(container, root);
+    root._mount(!!options.hydrate);
+    return root;
+}
+
+/**
+ * Check whether an element is inside a mounted root
+ * @private
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if an ancestor is a root's container
+ */
+function isInsideRoot(element) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+        if (mountedRoots.has(node)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Mount every island below a root element: elements whose `data-component`
+ * names a registered component, with props from their `data-props` JSON.
+ * Islands that are already mounted, or inside another island, are skipped,
+ * so the page can be scanned again after new markup arrives.
+ * @param {Object|Map} components - Components by island name
+ * @param {Object} options - mount() options for every island, plus:
+ * @param {Element|Document} options.root - Element to scan (the document by default)
+ * @returns {Array<Root>} Handles of the islands mounted by this call
+ * @example
+ * // <div data-component="Counter" data-props='{"start": 5}'></div>
+ * mountIslands({ Counter, SearchBox }, { state: sharedStore, hydrate: true });
+ */
+export function mountIslands(components, options = {}) {
+    const { root = document, ...mountOptions } = options;
+    const registry = components instanceof Map ? components : new Map(Object.entries(components));
+    const roots = [];
+
+    root.querySelectorAll('[data-component]').forEach(element => {
+        // Islands inside one mounted before were replaced by its render
+        if (mountedRoots.has(element) || isInsideRoot(element) || !root.contains(element)) {
+            return;
+        }
+
+        const name = element.getAttribute('data-component');
+        const component = registry.get(name);
+        if (!component) {
+            console.warn(`No component registered for island "${name}"`);
+            return;
+        }
+
+        let props;
+        try {
+            props = JSON.parse(element.getAttribute('data-props') || '{}');
+        } catch (error) {
+            console.warn(`Invalid data-props on island "${name}": ${error.message}`);
+            return;
+        }
+
+        roots.push(mount(component, element, {
+            ...mountOptions,
+            props: { ...mountOptions.props, ...props }
+        }));
+    });
+
+    return roots;
+}
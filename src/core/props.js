@@ -0,0 +1,130 @@
+/**
+ * Component Props
+ * Defaults and validation for the props schema a component declares as
+ * `props` (a static field on classes, a property on functions)
+ * @module core/props
+ * @example
+ * class Button extends Component {
+ *     static props = {
+ *         label: { type: 'string', required: true },
+ *         size: { type: 'string', oneOf: ['small', 'large'], default: 'small' },
+ *         count: { type: 'number', validator: value => value >= 0 },
+ *         items: { type: 'array', default: () => [] },
+ *         onClick: 'function'
+ *     };
+ * }
+ */
+
+/**
+ * Get the props schema of a component
+ * @private
+ * @param {Function} type - Component function or class
+ * @returns {Object|null} Schema
+ */
+function getSchema(type) {
+    const schema = type.props;
+    return schema && typeof schema === 'object' ? schema : null;
+}
+
+/**
+ * Normalize a schema entry (a type string is shorthand for `{ type }`)
+ * @private
+ * @param {string|Array|Object} rule - Schema entry
+ * @returns {Object} Rule
+ */
+function normalizeRule(rule) {
+    return typeof rule === 'string' || Array.isArray(rule) ? { type: rule } : rule || {};
+}
+
+/**
+ * Name the type of a value as used in schemas
+ * @private
+ * @param {*} value - Value
+ * @returns {string} 'array', 'null' or the typeof name
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Fill in the defaults of props that were not passed
+ * @param {Function} type - Component function or class
+ * @param {Object} props - Props from the vnode
+ * @returns {Object} Props with defaults
+ */
+export function applyPropDefaults(type, props) {
+    const schema = getSchema(type);
+    if (!schema) {
+        return props;
+    }
+
+    Object.keys(schema).forEach(name => {
+        const rule = normalizeRule(schema[name]);
+        if (props[name] !== undefined || !('default' in rule)) {
+            return;
+        }
+
+        // Functions build fresh objects and arrays, unless the prop is a function
+        const isFactory = typeof rule.default === 'function' && rule.type !== 'function';
+        props[name] = isFactory ? rule.default() : rule.default;
+    });
+
+    return props;
+}
+
+/**
+ * Check props against a component's schema
+ * @param {Function} type - Component function or class
+ * @param {Object} props - Props (with defaults applied)
+ * @returns {Array<string>} Problems found, each naming the component and prop
+ */
+export function validateProps(type, props) {
+    const schema = getSchema(type);
+    if (!schema) {
+        return [];
+    }
+
+    const component = type.name || 'Anonymous';
+    const problems = [];
+
+    Object.keys(schema).forEach(name => {
+        const rule = normalizeRule(schema[name]);
+        const value = props[name];
+        const prefix = `${component}: prop "${name}"`;
+
+        if (value === undefined) {
+            if (rule.required) {
+                problems.push(`${component}: missing required prop "${name}"`);
+            }
+            return;
+        }
+
+        if (rule.type && rule.type !== 'any') {
+            const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+            if (!types.includes(typeOf(value))) {
+                problems.push(`${prefix} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        if (Array.isArray(rule.oneOf) && !rule.oneOf.includes(value)) {
+            const allowed = rule.oneOf.map(option => JSON.stringify(option)).join(', ');
+            problems.push(`${prefix} should be one of ${allowed}, got ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (typeof rule.validator === 'function') {
+            try {
+                if (rule.validator(value, props) === false) {
+                    problems.push(`${prefix} failed validation`);
+                }
+            } catch (error) {
+                problems.push(`${prefix} failed validation: ${error.message}`);
+            }
+        }
+    });
+
+    return problems;
+}
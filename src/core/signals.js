@@ -0,0 +1,412 @@
+/**
+ * Signals
+ * Fine-grained reactive values: reading a signal inside computed() or
+ * effect() subscribes to it, and writing it re-runs only what read it
+ * @module core/signals
+ */
+
+// Computed signal or effect whose function is running, for dependency tracking
+let currentObserver = null;
+
+// Effects to re-run once a write has reached every computed signal and
+// effect that depends on it, and whether they are being run
+const pendingEffects = new Set();
+let isRunningEffects = false;
+
+/**
+ * Subscribe the running computed signal or effect to a signal
+ * @private
+ * @param {Signal} source - Signal being read
+ */
+function track(source) {
+    if (currentObserver) {
+        source._observers.add(currentObserver);
+        currentObserver._sources.add(source);
+    }
+}
+
+/**
+ * Run a function with an observer as the current one, replacing the
+ * signals it depends on with the ones the function reads
+ * @private
+ * @param {Object} observer - Computed signal or effect
+ * @param {Function} fn - Function to run
+ * @returns {*} Function result
+ */
+function runTracked(observer, fn) {
+    observer._sources.forEach(source => source._observers.delete(observer));
+    observer._sources.clear();
+
+    const previous = currentObserver;
+    currentObserver = observer;
+
+    try {
+        return fn();
+    } finally {
+        currentObserver = previous;
+    }
+}
+
+/**
+ * Re-run the effects invalidated by a write, each once, after the write has
+ * marked everything that depends on it stale, so no effect sees a computed
+ * signal that has not caught up yet. Effects queued by writes the effects
+ * make run in the same loop. The first error is thrown after all ran.
+ * @private
+ */
+function runPendingEffects() {
+    if (isRunningEffects) {
+        return;
+    }
+
+    isRunningEffects = true;
+    let firstError = null;
+
+    try {
+        while (pendingEffects.size > 0) {
+            const [next] = pendingEffects;
+            pendingEffects.delete(next);
+
+            try {
+                next._run();
+            } catch (error) {
+                firstError = firstError || { error };
+            }
+        }
+    } finally {
+        isRunningEffects = false;
+    }
+
+    if (firstError) {
+        throw firstError.error;
+    }
+}
+
+/**
+ * Reactive value. Reading `value` inside computed() or effect() subscribes
+ * to it; writing a different value notifies the subscribers.
+ * @class Signal
+ */
+export class Signal {
+    /**
+     * Create a signal
+     * @param {*} value - Initial value
+     */
+    constructor(value) {
+        this._value = value;
+        this._observers = new Set();
+    }
+
+    /**
+     * Current value
+     * @type {*}
+     */
+    get value() {
+        track(this);
+        return this._value;
+    }
+
+    set value(value) {
+        if (!Object.is(value, this._value)) {
+            this._value = value;
+            this._notify();
+            runPendingEffects();
+        }
+    }
+
+    /**
+     * Read the value without subscribing to it
+     * @returns {*} Current value
+     */
+    peek() {
+        return this._value;
+    }
+
+    /**
+     * Call a function with the value now and whenever it changes
+     * @param {Function} callback - Called with the value
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        return effect(() => {
+            const value = this.value;
+            untracked(() => callback(value));
+        });
+    }
+
+    toString() {
+        return String(this.value);
+    }
+
+    /**
+     * Tell the computed signals and effects that read this signal that it
+     * changed: computed signals are marked stale, effects are queued
+     * @private
+     */
+    _notify() {
+        Array.from(this._observers).forEach(observer => observer._invalidate());
+    }
+}
+
+/**
+ * Signal whose value is derived from other signals, computed lazily and
+ * cached until one of them changes
+ * @private
+ */
+class ComputedSignal extends Signal {
+    constructor(fn) {
+        super(undefined);
+        this._fn = fn;
+        this._sources = new Set();
+        this._dirty = true;
+    }
+
+    get value() {
+        track(this);
+        return this.peek();
+    }
+
+    set value(_value) {
+        throw new Error('Computed signals are read-only');
+    }
+
+    peek() {
+        if (this._dirty) {
+            this._value = runTracked(this, this._fn);
+            this._dirty = false;
+        }
+        return this._value;
+    }
+
+    /**
+     * Mark the value stale (called when a signal it read changed)
+     * @private
+     */
+    _invalidate() {
+        if (!this._dirty) {
+            this._dirty = true;
+            this._notify();
+        }
+    }
+}
+
+/**
+ * Function re-run whenever a signal it read changes
+ * @private
+ */
+class Effect {
+    constructor(fn) {
+        this._fn = fn;
+        this._sources = new Set();
+        this._cleanup = null;
+        this._isRunning = false;
+        this._isDisposed = false;
+    }
+
+    /**
+     * Run the function, after the cleanup its previous run returned
+     * @private
+     */
+    _run() {
+        this._runCleanup();
+        this._isRunning = true;
+
+        try {
+            const cleanup = runTracked(this, this._fn);
+            this._cleanup = typeof cleanup === 'function' ? cleanup : null;
+        } finally {
+            this._isRunning = false;
+        }
+    }
+
+    /**
+     * Queue a re-run (called when a signal it read changed). Writes the
+     * effect makes to its own signals while running do not re-run it.
+     * @private
+     */
+    _invalidate() {
+        if (!this._isDisposed && !this._isRunning) {
+            pendingEffects.add(this);
+        }
+    }
+
+    /**
+     * Call and clear the cleanup of the previous run
+     * @private
+     */
+    _runCleanup() {
+        const cleanup = this._cleanup;
+        this._cleanup = null;
+
+        if (cleanup) {
+            cleanup();
+        }
+    }
+
+    /**
+     * Stop re-running and run the last cleanup
+     * @private
+     */
+    _dispose() {
+        if (!this._isDisposed) {
+            this._isDisposed = true;
+            pendingEffects.delete(this);
+            this._sources.forEach(source => source._observers.delete(this));
+            this._sources.clear();
+            this._runCleanup();
+        }
+    }
+}
+
+/**
+ * Effects applying signals to DOM nodes, by node and by attribute (or
+ * `textContent`), so the bindings of a removed node are found without
+ * going through all of them
+ * @class SignalBindings
+ */
+export class SignalBindings {
+    constructor() {
+        this._bindings = new Map();
+    }
+
+    /**
+     * Number of bound nodes
+     * @type {number}
+     */
+    get size() {
+        return this._bindings.size;
+    }
+
+    /**
+     * Apply a signal's value to a node now and whenever it changes,
+     * replacing an earlier binding of the same key
+     * @param {Node} node - Bound node
+     * @param {string} key - Attribute key, or textContent for text nodes
+     * @param {Signal} source - Signal
+     * @param {Function} apply - Applies a value to the node
+     */
+    bind(node, key, source, apply) {
+        this.unbind(node, key);
+
+        const dispose = effect(() => {
+            const value = source.value;
+            untracked(() => apply(value));
+        });
+
+        if (!this._bindings.has(node)) {
+            this._bindings.set(node, new Map());
+        }
+        this._bindings.get(node).set(key, dispose);
+    }
+
+    /**
+     * Stop applying a signal to a node attribute
+     * @param {Node} node - Bound node
+     * @param {string} key - Attribute key, or textContent for text nodes
+     */
+    unbind(node, key) {
+        const bindings = this._bindings.get(node);
+
+        if (bindings && bindings.has(key)) {
+            bindings.get(key)();
+            bindings.delete(key);
+            if (bindings.size === 0) {
+                this._bindings.delete(node);
+            }
+        }
+    }
+
+    /**
+     * Stop every binding of a node
+     * @param {Node} node - Node being removed
+     */
+    release(node) {
+        const bindings = this._bindings.get(node);
+
+        if (bindings) {
+            bindings.forEach(dispose => dispose());
+            this._bindings.delete(node);
+        }
+    }
+
+    /**
+     * Stop all bindings
+     */
+    clear() {
+        this._bindings.forEach(bindings => bindings.forEach(dispose => dispose()));
+        this._bindings.clear();
+    }
+}
+
+/**
+ * Create a signal
+ * @param {*} value - Initial value
+ * @returns {Signal} Signal
+ * @example
+ * const x = signal(0);
+ * x.value = 10;
+ */
+export function signal(value) {
+    return new Signal(value);
+}
+
+/**
+ * Create a read-only signal derived from the signals `fn` reads
+ * @param {Function} fn - Function computing the value
+ * @returns {Signal} Computed signal
+ * @example
+ * const label = computed(() => `${x.value}px`);
+ */
+export function computed(fn) {
+    return new ComputedSignal(fn);
+}
+
+/**
+ * Run a function now and again whenever a signal it read changes. It can
+ * return a cleanup function, called before the next run and on dispose.
+ * @param {Function} fn - Function to run
+ * @returns {Function} Dispose function
+ * @example
+ * const dispose = effect(() => {
+ *     const timer = setInterval(() => { seconds.value++; }, 1000);
+ *     return () => clearInterval(timer);
+ * });
+ */
+export function effect(fn) {
+    const instance = new Effect(fn);
+
+    // A first run that throws leaves nothing subscribed to dispose of later
+    try {
+        instance._run();
+    } catch (error) {
+        instance._dispose();
+        throw error;
+    }
+
+    return () => instance._dispose();
+}
+
+/**
+ * Read signals without subscribing the running computed signal or effect
+ * @param {Function} fn - Function to run
+ * @returns {*} Function result
+ */
+export function untracked(fn) {
+    const previous = currentObserver;
+    currentObserver = null;
+
+    try {
+        return fn();
+    } finally {
+        currentObserver = previous;
+    }
+}
+
+/**
+ * Check whether a value is a signal
+ * @param {*} value - Value to check
+ * @returns {boolean} True for signals and computed signals
+ */
+export function isSignal(value) {
+    return value instanceof Signal;
+}
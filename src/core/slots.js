@@ -0,0 +1,90 @@
+/**
+ * Slots
+ * Named insertion points for content passed to a component. The parent
+ * passes a plain object of slot contents as the component's only child;
+ * the component places each with slot().
+ * @module core/slots
+ * @example
+ * const Card = () => h('article', { class: 'card' },
+ *     h('header', null, slot('header', h('h2', null, 'Untitled'))),
+ *     slot(),
+ *     hasSlot('footer') && h('footer', null, slot('footer'))
+ * );
+ *
+ * h(Card, null, {
+ *     header: h('h2', null, 'Settings'),
+ *     default: [h('p', null, 'Body')],
+ *     footer: h('button', null, 'Save')
+ * });
+ */
+
+import { getCurrentInstance } from './component-instance.js';
+
+/**
+ * Get the content passed for a slot of the component being rendered
+ * @private
+ * @param {string} caller - Helper name for errors
+ * @param {string} name - Slot name
+ * @returns {*} Slot content, or undefined
+ */
+function getSlotContent(caller, name) {
+    const instance = getCurrentInstance();
+
+    if (!instance) {
+        throw new Error(`${caller} can only be called while rendering a component`);
+    }
+
+    const { slots, children } = instance.props;
+    if (slots && slots[name] !== undefined) {
+        return slots[name];
+    }
+
+    // Plain children fill the default slot
+    if (name === 'default' && children && children.length > 0) {
+        return children;
+    }
+
+    return undefined;
+}
+
+/**
+ * Check whether content is empty
+ * @private
+ */
+function isEmpty(content) {
+    return content == null || content === false || (Array.isArray(content) && content.length === 0);
+}
+
+/**
+ * Place the content passed for a slot. A function passed as content is a
+ * scoped slot: it is called with the data the component gives it.
+ * @param {string} name - Slot name
+ * @param {*|Function} fallback - Content (or function of the data) used when
+ * the slot is empty
+ * @param {*} scope - Data for scoped slot functions
+ * @returns {*} Virtual node(s)
+ * @example
+ * // In a List component
+ * props.items.map(item => slot('item', h('li', null, item.label), { item }));
+ * // In its parent
+ * h(List, { items }, { item: ({ item }) => h('li', null, h('b', null, item.label)) });
+ */
+export function slot(name = 'default', fallback = null, scope = undefined) {
+    const content = getSlotContent('slot', name);
+    const rendered = typeof content === 'function' ? content(scope) : content;
+
+    if (!isEmpty(rendered)) {
+        return rendered;
+    }
+
+    return typeof fallback === 'function' ? fallback(scope) : fallback;
+}
+
+/**
+ * Check whether content was passed for a slot
+ * @param {string} name - Slot name
+ * @returns {boolean} True if the slot has content
+ */
+export function hasSlot(name = 'default') {
+    return !isEmpty(getSlotContent('hasSlot', name));
+}
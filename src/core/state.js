@@ -6,7 +6,8 @@
 
 import { ErrorBoundary, ERROR_TYPES } from '../utils/error-boundary.js';
 import { Logger } from '../utils/logger.js';
-import { deepClone, deepEqual, get, set, debounce } from '../utils/helpers.js';
+import { deepClone, deepEqual, get, set, debounce, isPlainObject } from '../utils/helpers.js';
+import { Signal } from './signals.js';
 
 /**
  * State change types for debugging and middleware
@@ -17,7 +18,8 @@ const STATE_CHANGE_TYPES = {
     UPDATE: 'update',
     DELETE: 'delete',
     RESET: 'reset',
-    BATCH: 'batch'
+    BATCH: 'batch',
+    MUTATE: 'mutate'
 };
 
 /**
@@ -117,6 +119,42 @@ class StateMiddleware {
     }
 }
 
+/**
+ * Signal that follows a state path; writes go through setState
+ */
+class StateSignal extends Signal {
+    constructor(store, path) {
+        super(get(store.state, path));
+        this._store = store;
+        this._path = path;
+    }
+
+    get value() {
+        return super.value;
+    }
+
+    /**
+     * Take the value right away and set the path through setState. A
+     * rejected write, which the store reports, puts back the path's value.
+     * @param {*} value - New value
+     */
+    set value(value) {
+        super.value = value;
+        this._store.setState(this._path, value).catch(() => {
+            this._update(get(this._store.state, this._path));
+        });
+    }
+
+    /**
+     * Take the path's value after a state update
+     * @private
+     * @param {*} value - New value
+     */
+    _update(value) {
+        super.value = value;
+    }
+}
+
 /**
  * Enhanced State Manager with reactive updates and performance optimizations
  */
@@ -126,6 +164,9 @@ export class StateManager {
      * @param {Object} initialState - Initial state object
      * @param {boolean} debug - Enable debug mode
      * @param {Object} options - Additional options
+     * @param {boolean} options.reactive - Expose `state` as a Proxy whose
+     * writes (`store.state.user.name = 'x'`, `store.state.todos.push(todo)`)
+     * are batched into updates like setState
      */
     constructor(initialState = {}, debug = false, options = {}) {
         this.options = {
@@ -137,6 +178,7 @@ export class StateManager {
             enableValidation: true,
             enableMiddleware: true,
             enableComputed: true,
+            reactive: false,
             ...options
         };
 
@@ -144,6 +186,18 @@ export class StateManager {
         this.logger = new Logger(debug);
         this.errorBoundary = new ErrorBoundary(debug);
         
+        // Reactive mode: proxies by plain object and back, the object each
+        // one was last read from, and the writes waiting for the next flush
+        // with the values their paths had before them
+        this._proxies = new WeakMap();
+        this._rawObjects = new WeakMap();
+        this._parents = new WeakMap();
+        this._pendingChanges = [];
+        this._previousValues = new Map();
+
+        // Updates run one after another, each from the state the last left
+        this._updateQueue = Promise.resolve();
+
         // State storage
         this.state = this._createReactiveState(deepClone(initialState));
         this.prevState = {};
@@ -152,6 +206,8 @@ export class StateManager {
         this.subscriptions = new Map();
         this.pathWatchers = new Map();
         this.computedProperties = new Map();
+        this._evaluatingComputed = [];
+        this._signals = new Map();
         
         // History and debugging
         this.history = [];
@@ -363,10 +419,15 @@ export class StateManager {
     }
 
     /**
-     * Create a computed property that updates when dependencies change
+     * Create a computed property. The state paths `computeFn` reads (and the
+     * computed properties it reads through `computed(name)`) are recorded
+     * while it runs; it runs again, lazily on the next read, only after one
+     * of them changed.
      * @param {string} name - Computed property name
-     * @param {Function} computeFn - Function to compute the value
-     * @param {Array<string>} dependencies - State paths this computed property depends on
+     * @param {Function} computeFn - Function of (state, computed) returning the value,
+     * where `computed(name)` reads another computed property
+     * @param {Array<string>} dependencies - Additional state paths to depend
+     * on, for reads the tracking cannot see (e.g. after an await)
      * @returns {Function} Remove computed property function
      */
     computed(name, computeFn, dependencies = []) {
@@ -374,49 +435,75 @@ export class StateManager {
             this.logger.warn('Computed properties are disabled');
             return () => {};
         }
-        
+
         const computed = {
             name,
             computeFn,
             dependencies,
-            lastValue: undefined,
-            cache: new Map()
+            paths: [...dependencies],
+            computeds: new Set(),
+            dependents: new Set(),
+            value: undefined,
+            dirty: true,
+            evaluations: 0,
+            cacheHits: 0
         };
-        
-        // Compute initial value
-        computed.lastValue = computeFn(this.state);
-        
-        // Watch dependencies
-        const watchers = dependencies.map(dep => 
-            this.watch(dep, () => {
-                const newValue = computeFn(this.state);
-                if (!deepEqual(newValue, computed.lastValue)) {
-                    computed.lastValue = newValue;
-                    this._notifyComputedChange(name, newValue);
-                }
-            })
-        );
-        
-        this.computedProperties.set(name, { ...computed, watchers });
-        
-        this.logger.debug(`Computed property ${name} created with dependencies:`, dependencies);
-        
+
+        this.computedProperties.set(name, computed);
+
+        this.logger.debug(`Computed property ${name} created`);
+
         return () => {
-            // Remove watchers
-            computed.watchers?.forEach(unwatch => unwatch());
+            if (this.computedProperties.get(name) !== computed) {
+                return;
+            }
+
             this.computedProperties.delete(name);
+            computed.computeds.forEach(dependency => this.computedProperties.get(dependency)?.dependents.delete(name));
+            this._markComputedDirty(computed);
             this.logger.debug(`Computed property ${name} removed`);
         };
     }
 
     /**
-     * Get a computed property value
+     * Get a computed property value, computing it if a dependency changed
+     * since the last read
      * @param {string} name - Computed property name
      * @returns {*} Computed value
      */
     getComputed(name) {
         const computed = this.computedProperties.get(name);
-        return computed ? computed.lastValue : undefined;
+        if (!computed) {
+            return undefined;
+        }
+
+        // Read by another computed property: it now depends on this one
+        const reader = this._evaluatingComputed[this._evaluatingComputed.length - 1];
+        if (reader) {
+            reader.computeds.add(name);
+        }
+
+        if (computed.dirty) {
+            this._evaluateComputed(computed);
+        } else {
+            computed.cacheHits++;
+        }
+
+        return computed.value;
+    }
+
+    /**
+     * Expose a state path as a signal, e.g. to bind it into the DOM without
+     * re-rendering. It takes the path's value after every update, and
+     * writing it sets the path through setState.
+     * @param {string} path - State path (dot notation)
+     * @returns {Signal} Signal of the path (the same one on every call)
+     */
+    signal(path) {
+        if (!this._signals.has(path)) {
+            this._signals.set(path, new StateSignal(this, path));
+        }
+        return this._signals.get(path);
     }
 
     /**
@@ -542,11 +629,17 @@ export class StateManager {
      * @returns {Object} Statistics object
      */
     getStats() {
+        const computed = {};
+        this.computedProperties.forEach(({ name, evaluations, cacheHits, paths, computeds }) => {
+            computed[name] = { evaluations, cacheHits, dependencies: [...paths, ...computeds] };
+        });
+
         return {
             ...this.stats,
             activeSubscriptions: this.subscriptions.size,
             pathWatchers: this.pathWatchers.size,
             computedProperties: this.computedProperties.size,
+            computed,
             middleware: this.middleware.length,
             historySize: this.history.length
         };
@@ -592,11 +685,9 @@ export class StateManager {
         this.subscriptions.clear();
         this.pathWatchers.clear();
         
-        // Clear computed properties
-        this.computedProperties.forEach(computed => {
-            computed.watchers?.forEach(unwatch => unwatch());
-        });
+        // Clear computed properties and path signals
         this.computedProperties.clear();
+        this._signals.clear();
         
         // Clear batching
         if (this.batchTimeout) {
@@ -616,47 +707,346 @@ export class StateManager {
     // Private methods
 
     /**
-     * Create reactive state proxy
+     * Wrap the state in a Proxy when the `reactive` option is on
+     * @private
+     * @param {Object} state - Plain state object
+     * @returns {Object} Reactive proxy, or the state itself
+     */
+    _createReactiveState(state) {
+        return this.options.reactive ? this._reactive(state) : state;
+    }
+
+    /**
+     * Get the proxy of an object or array in the state tree. Reads return
+     * proxies of nested objects; writes and deletes are recorded as
+     * changes at the path the object has when they happen (at the array's
+     * path for array elements), so a proxy stays valid after its object
+     * moves, e.g. when an array is spliced.
+     * @private
+     * @param {*} target - Value in the state tree
+     * @returns {*} Proxy, or the value itself for primitives and dates
+     */
+    _reactive(target) {
+        if (target === null || typeof target !== 'object' || target instanceof Date) {
+            return target;
+        }
+
+        if (this._rawObjects.has(target)) {
+            return target;
+        }
+
+        if (this._proxies.has(target)) {
+            return this._proxies.get(target);
+        }
+
+        const proxy = new Proxy(target, {
+            get: (object, key, receiver) => {
+                const value = Reflect.get(object, key, receiver);
+
+                // Methods (e.g. array push) and symbols are not part of the state
+                if (typeof key === 'symbol' || !Object.prototype.hasOwnProperty.call(object, key)) {
+                    return value;
+                }
+
+                if (value !== null && typeof value === 'object') {
+                    this._parents.set(value, object);
+                }
+                return this._reactive(value);
+            },
+            set: (object, key, value) => {
+                const raw = this._toRaw(value);
+
+                if (!Object.is(object[key], raw) || !Object.prototype.hasOwnProperty.call(object, key)) {
+                    this._recordChange(object, key, { type: STATE_CHANGE_TYPES.SET, value: raw });
+                    object[key] = raw;
+                }
+                return true;
+            },
+            deleteProperty: (object, key) => {
+                if (Object.prototype.hasOwnProperty.call(object, key)) {
+                    this._recordChange(object, key, { type: STATE_CHANGE_TYPES.DELETE });
+                    delete object[key];
+                }
+                return true;
+            }
+        });
+
+        this._proxies.set(target, proxy);
+        this._rawObjects.set(proxy, target);
+        return proxy;
+    }
+
+    /**
+     * Get the plain object behind a reactive proxy
+     * @private
+     * @param {*} value - Proxy or any value
+     * @returns {*} Plain object, or the value itself
+     */
+    _toRaw(value) {
+        return (value !== null && typeof value === 'object' && this._rawObjects.get(value)) || value;
+    }
+
+    /**
+     * Get the keys leading from the state root to an object, following the
+     * objects it was read from
      * @private
+     * @param {Object} object - Plain object in the state tree
+     * @returns {Array<string>|null} Keys, or null once the object is no
+     * longer in the state
      */
-    _createReactiveState(initialState) {
-        // For now, return the state as-is
-        // In a more advanced implementation, this could use Proxy for reactivity
-        return initialState;
+    _getPath(object) {
+        const root = this._toRaw(this.state);
+        const path = [];
+
+        for (let node = object; node !== root;) {
+            const parent = this._parents.get(node);
+            const key = parent && Object.keys(parent).find(name => parent[name] === node);
+
+            if (key === undefined) {
+                return null;
+            }
+
+            path.unshift(key);
+            node = parent;
+        }
+
+        return path;
+    }
+
+    /**
+     * Record a write to the reactive state. The first write to a path in a
+     * batch keeps a copy of the path's value before it, and the first write
+     * of a batch queues the flush.
+     * @private
+     * @param {Object} object - Plain object written to
+     * @param {string} key - Key written or deleted
+     * @param {Object} change - Change type and value
+     */
+    _recordChange(object, key, change) {
+        const path = this._getPath(object);
+
+        if (!path) {
+            this.logger.warn(`Write to "${key}" of an object no longer in the state is not recorded`);
+            return;
+        }
+
+        const keys = Array.isArray(object) && path.length > 0 ? path : [...path, key];
+        change.path = keys.join('.');
+
+        if (!this._previousValues.has(change.path)) {
+            const parent = keys.length > 1 ? get(this._toRaw(this.state), keys.slice(0, -1).join('.')) : this._toRaw(this.state);
+            const name = keys[keys.length - 1];
+            const exists = Object.prototype.hasOwnProperty.call(parent, name);
+
+            this._previousValues.set(change.path, { keys, exists, value: exists ? deepClone(parent[name]) : undefined });
+        }
+
+        if (this._pendingChanges.length === 0) {
+            // Failures are reported by _runUpdate
+            this._flushChanges().catch(() => {});
+        }
+
+        this._pendingChanges.push(change);
+    }
+
+    /**
+     * Run the writes recorded since the last flush through the same update
+     * as setState: middleware, validators, history and subscribers. The
+     * writes are already in the state, so the previous state is built from
+     * the values their paths had before them, and a failed update puts
+     * those values back.
+     * @private
+     * @returns {Promise<StateManager>} State manager instance
+     */
+    _flushChanges() {
+        return this._enqueueUpdate(() => {
+            const changes = this._pendingChanges;
+            // Latest writes first, so a path written inside an earlier
+            // written path ends up with the value it had before both
+            const previousValues = Array.from(this._previousValues.values()).reverse();
+
+            this._pendingChanges = [];
+            this._previousValues = new Map();
+
+            return this._runUpdate(state => state, {
+                type: STATE_CHANGE_TYPES.MUTATE,
+                changes,
+                paths: [...new Set(changes.map(change => change.path))],
+                validate: this.options.enableValidation,
+                middleware: this.options.enableMiddleware
+            }, state => this._rewind(state, previousValues)).catch(error => {
+                this._rollBack(previousValues);
+                throw error;
+            });
+        });
+    }
+
+    /**
+     * Copy the state with written paths set back to their previous values.
+     * Only the objects on the way to those paths are copied; the rest is
+     * shared with the state.
+     * @private
+     * @param {Object} state - Plain state object
+     * @param {Array<Object>} previousValues - Keys of each path, and whether
+     * and what value it had
+     * @returns {Object} State before the writes
+     */
+    _rewind(state, previousValues) {
+        const copies = new WeakSet();
+        const copy = object => {
+            const result = Array.isArray(object) ? object.slice() : { ...object };
+            copies.add(result);
+            return result;
+        };
+        const prevState = copy(state);
+
+        previousValues.forEach(({ keys, exists, value }) => {
+            let parent = prevState;
+
+            for (const key of keys.slice(0, -1)) {
+                const child = parent[key];
+
+                // The parent is gone when an update replaced it after the write
+                if (child === null || typeof child !== 'object') {
+                    return;
+                }
+
+                parent = parent[key] = copies.has(child) ? child : copy(child);
+            }
+
+            if (exists) {
+                parent[keys[keys.length - 1]] = value;
+            } else {
+                delete parent[keys[keys.length - 1]];
+            }
+        });
+
+        return prevState;
+    }
+
+    /**
+     * Put the previous values of a failed flush back into the state. A path
+     * written again since keeps its newer value, which the next flush then
+     * reports as a change from the value before both.
+     * @private
+     * @param {Array<Object>} previousValues - Keys of each path, and whether
+     * and what value it had
+     */
+    _rollBack(previousValues) {
+        const state = this._toRaw(this.state);
+
+        previousValues.forEach(previous => {
+            const { keys, exists, value } = previous;
+            const path = keys.join('.');
+            const parent = keys.length > 1 ? get(state, keys.slice(0, -1).join('.')) : state;
+
+            if (this._previousValues.has(path)) {
+                this._previousValues.set(path, previous);
+            } else if (parent !== null && typeof parent === 'object') {
+                if (exists) {
+                    parent[keys[keys.length - 1]] = value;
+                } else {
+                    delete parent[keys[keys.length - 1]];
+                }
+            }
+        });
+    }
+
+    /**
+     * Copy the values written to the reactive state while an update ran
+     * into the state it produced, so the update does not drop them
+     * @private
+     * @param {Object} source - State the writes went to
+     * @param {Object} target - State produced by the update
+     * @param {Array<Object>} changes - Writes made during the update
+     */
+    _replayChanges(source, target, changes) {
+        new Set(changes.map(change => change.path)).forEach(path => {
+            const keys = path.split('.');
+            const name = keys.pop();
+            const from = keys.length > 0 ? get(source, keys.join('.')) : source;
+            const to = keys.length > 0 ? get(target, keys.join('.')) : target;
+
+            if (from === null || typeof from !== 'object' || to === null || typeof to !== 'object') {
+                return;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(from, name)) {
+                to[name] = from[name];
+            } else {
+                delete to[name];
+            }
+        });
+    }
+
+    /**
+     * Queue a state update behind those still running
+     * @private
+     * @param {Function} update - Runs the update
+     * @returns {Promise<StateManager>} Settles with the update
+     */
+    _enqueueUpdate(update) {
+        const result = this._updateQueue.then(update);
+
+        // The caller gets the failure; the next update runs either way
+        this._updateQueue = result.catch(() => {});
+        return result;
     }
 
     /**
      * Perform a state update with all middleware and validation
      * @private
      */
-    async _performUpdate(updateFn, options = {}) {
+    _performUpdate(updateFn, options = {}) {
+        return this._enqueueUpdate(() => this._runUpdate(updateFn, options));
+    }
+
+    /**
+     * Run a queued update. The update function gets the plain state, never
+     * the reactive proxy, so its result holds no proxies.
+     * @private
+     * @param {Function} updateFn - Returns the new state
+     * @param {Object} options - Update options
+     * @param {Function} previous - Returns the state before the update
+     * @returns {Promise<StateManager>} State manager instance
+     */
+    async _runUpdate(updateFn, options, previous = deepClone) {
         const startTime = performance.now();
+        const state = this._toRaw(this.state);
+        const written = this._pendingChanges.length;
 
         try {
             // Store previous state
-            this.prevState = deepClone(this.state);
+            this.prevState = previous(state);
             
             // Apply update function
-            let newState = updateFn(this.state);
+            let newState = updateFn(state);
             
             // Run middleware
             if (options.middleware && this.middleware.length > 0) {
-                newState = await this._runMiddleware(options, this.state, newState);
+                newState = await this._runMiddleware(options, this.prevState, newState);
             }
             
             // Validate state
             if (options.validate) {
                 await this._validateState(newState, options);
             }
+
+            // Keep reactive writes made while the update was waiting
+            if (newState !== state) {
+                this._replayChanges(state, newState, this._pendingChanges.slice(written));
+            }
             
             // Check if state actually changed
-            if (deepEqual(this.state, newState)) {
+            if (deepEqual(this.prevState, newState)) {
                 this.logger.debug('State update resulted in no changes');
                 return this;
             }
             
             // Update state
-            this.state = newState;
+            this.state = this._createReactiveState(newState);
+            this._invalidateComputed(this.prevState, this.state);
+            this._updateSignals();
             
             // Add to history
             if (!options.skipHistory) {
@@ -838,15 +1228,177 @@ export class StateManager {
     }
 
     /**
-     * Notify computed property change
+     * Run a computed property's function, recording what it reads
      * @private
+     * @param {Object} computed - Computed property
      */
-    _notifyComputedChange(name, newValue) {
-        // Emit computed property change event
-        this._notifySubscribers(this.state, this.prevState, {
-            type: 'computed',
-            property: name,
-            value: newValue
+    _evaluateComputed(computed) {
+        if (this._evaluatingComputed.includes(computed)) {
+            throw new Error(`Computed property "${computed.name}" depends on itself`);
+        }
+
+        const tracking = { reads: new Set(), shapes: new Set(), proxies: new Map(), targets: new Map() };
+        const { reads, shapes } = tracking;
+        const previousComputeds = computed.computeds;
+
+        computed.computeds = new Set();
+        this._evaluatingComputed.push(computed);
+
+        try {
+            const value = computed.computeFn(
+                this._trackReads(this.state, '', tracking),
+                name => this.getComputed(name)
+            );
+            computed.value = this._untrack(value, tracking.targets);
+        } catch (error) {
+            computed.computeds = previousComputeds;
+            throw error;
+        } finally {
+            this._evaluatingComputed.pop();
+        }
+
+        // Reading `state.user.name` also reads `state.user`; only the
+        // deepest paths are kept, unless an object's keys were listed
+        const parents = new Set([...reads].map(path => path.slice(0, Math.max(path.lastIndexOf('.'), 0))));
+        const paths = [...reads].filter(path => shapes.has(path) || !parents.has(path));
+
+        computed.paths = [...new Set([...computed.dependencies, ...paths])];
+        previousComputeds.forEach(name => this.computedProperties.get(name)?.dependents.delete(computed.name));
+        computed.computeds.forEach(name => this.computedProperties.get(name)?.dependents.add(computed.name));
+
+        computed.dirty = false;
+        computed.evaluations++;
+    }
+
+    /**
+     * Wrap a state object so that reads through it are recorded by path.
+     * Each object gets one proxy per evaluation, so identity checks between
+     * values read from the state hold.
+     * @private
+     * @param {*} target - Value in the state tree
+     * @param {string} path - Path of the value ('' for the root)
+     * @param {Object} tracking - Paths read (`reads`), paths of objects whose
+     * keys were listed (`shapes`), and the evaluation's proxies by object
+     * (`proxies`) and objects by proxy (`targets`)
+     * @returns {*} Tracking proxy, or the value itself for primitives and dates
+     */
+    _trackReads(target, path, tracking) {
+        if (target === null || typeof target !== 'object' || target instanceof Date) {
+            return target;
+        }
+
+        if (tracking.proxies.has(target)) {
+            return tracking.proxies.get(target);
+        }
+
+        const { reads, shapes } = tracking;
+        const childPath = key => (path ? `${path}.${String(key)}` : String(key));
+
+        const proxy = new Proxy(target, {
+            get: (object, key, receiver) => {
+                const value = Reflect.get(object, key, receiver);
+
+                // Methods (e.g. array filter) and symbols are not part of the state
+                if (typeof key === 'symbol' || !Object.prototype.hasOwnProperty.call(object, key)) {
+                    return value;
+                }
+
+                reads.add(childPath(key));
+                return this._trackReads(value, childPath(key), tracking);
+            },
+            has: (object, key) => {
+                if (typeof key !== 'symbol') {
+                    reads.add(childPath(key));
+                }
+                return Reflect.has(object, key);
+            },
+            ownKeys: object => {
+                reads.add(path);
+                shapes.add(path);
+                return Reflect.ownKeys(object);
+            },
+            set: () => {
+                throw new Error('Computed properties cannot write to the state');
+            }
+        });
+
+        tracking.proxies.set(target, proxy);
+        tracking.targets.set(proxy, target);
+        return proxy;
+    }
+
+    /**
+     * Replace the tracking proxies in a computed value, including inside
+     * the arrays and plain objects it built (e.g. with `filter`), with the
+     * state values they wrap
+     * @private
+     * @param {*} value - Value returned by a computed function
+     * @param {Map} targets - State values by tracking proxy
+     * @param {Set} seen - Objects already visited
+     * @returns {*} Value without tracking proxies
+     */
+    _untrack(value, targets, seen = new Set()) {
+        if (targets.has(value)) {
+            return targets.get(value);
+        }
+
+        if ((Array.isArray(value) || isPlainObject(value)) && !seen.has(value)) {
+            seen.add(value);
+            Object.keys(value).forEach(key => {
+                const item = this._untrack(value[key], targets, seen);
+                if (item !== value[key]) {
+                    value[key] = item;
+                }
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * Mark the computed properties that read a changed path as dirty
+     * @private
+     * @param {Object} prevState - State before the update
+     * @param {Object} newState - State after the update
+     */
+    _invalidateComputed(prevState, newState) {
+        const valueAt = (state, path) => (path ? get(state, path) : state);
+        const changed = path => !deepEqual(valueAt(newState, path), valueAt(prevState, path));
+
+        this.computedProperties.forEach(computed => {
+            if (!computed.dirty && computed.paths.some(changed)) {
+                this._markComputedDirty(computed);
+            }
+        });
+    }
+
+    /**
+     * Give path signals the values of their paths after an update
+     * @private
+     */
+    _updateSignals() {
+        this._signals.forEach((pathSignal, path) => {
+            const value = get(this.state, path);
+            if (!deepEqual(value, pathSignal.peek())) {
+                pathSignal._update(value);
+            }
+        });
+    }
+
+    /**
+     * Mark a computed property, and those that read it, to be computed
+     * again on their next read
+     * @private
+     * @param {Object} computed - Computed property
+     */
+    _markComputedDirty(computed) {
+        computed.dirty = true;
+
+        computed.dependents.forEach(name => {
+            const dependent = this.computedProperties.get(name);
+            if (dependent && !dependent.dirty) {
+                this._markComputedDirty(dependent);
+            }
         });
     }
 
@@ -904,7 +1456,7 @@ export class StateManager {
             const persistedData = localStorage.getItem(this.options.persistenceKey);
             if (persistedData) {
                 const data = JSON.parse(persistedData);
-                this.state = { ...this.state, ...data.state };
+                this.state = this._createReactiveState({ ...this._toRaw(this.state), ...data.state });
                 this.logger.debug('Persisted state loaded');
             }
         } catch (error) {
@@ -12,20 +12,8 @@ export { MiniFramework };
 export * from './core/index.js';
 export * from './utils/index.js';
 
-// Auto-initialize for browser usage
-if (typeof window !== 'undefined') {
+// Global for script-tag usage; another copy already on the page is kept.
+// Nothing is rendered automatically: use mount() or mountIslands().
+if (typeof window !== 'undefined' && !window.MiniFramework) {
     window.MiniFramework = MiniFramework;
-    
-    // Simple demo initialization
-    document.addEventListener('DOMContentLoaded', () => {
-        const appElement = document.getElementById('app');
-        if (appElement && appElement.textContent.includes('Framework will render here')) {
-            appElement.innerHTML = `
-                <h2>Mini Framework Loaded Successfully!</h2>
-                <p>Ready for development...</p>
-                <small>Check console for framework instance</small>
-            `;
-            console.log('Mini Framework initialized:', MiniFramework);
-        }
-    });
-}
\ No newline at end of file
+}
@@ -6,7 +6,7 @@
 
 /**
  * Create virtual node helper function (JSX-like)
- * @param {string} tag - HTML tag name
+ * @param {string|Function} tag - HTML tag name, or component function/class
  * @param {Object|null} props - Element properties/attributes
  * @param {...*} children - Child elements
  * @returns {Object} Virtual node object
@@ -16,10 +16,11 @@ export function h(tag, props = null, ...children) {
     const flatChildren = children.flat(Infinity).filter(child => 
         child != null && child !== false && child !== true
     );
+    const isComponent = typeof tag === 'function';
     
     return {
-        type: 'element',
-        tag: String(tag).toLowerCase(),
+        type: isComponent ? 'component' : 'element',
+        tag: isComponent ? tag : String(tag).toLowerCase(),
         attrs,
         children: flatChildren,
         key: attrs.key || null,
@@ -69,6 +70,54 @@ export function fragment(...children) {
     };
 }
 
+/**
+ * Create a portal virtual node that renders its children into another
+ * element, e.g. for modals that must escape `overflow: hidden` parents
+ * @param {string|Element} target - Target element or CSS selector
+ * @param {...*} children - Child elements
+ * @returns {Object} Portal virtual node
+ */
+export function portal(target, ...children) {
+    return {
+        type: 'portal',
+        target,
+        children: children.flat(Infinity).filter(child => 
+            child != null && child !== false && child !== true
+        ),
+        _isVNode: true
+    };
+}
+
+/**
+ * Create a memoized (thunk) virtual node. `render` is called with the deps
+ * as arguments, and on later renders the subtree is neither re-rendered nor
+ * diffed while the deps are shallow-equal to the previous ones.
+ * @param {Function} render - Function returning the subtree
+ * @param {Array} deps - Values the subtree depends on
+ * @param {*} key - Key matching the thunk among keyed siblings (optional)
+ * @returns {Object} Thunk virtual node
+ */
+export function memo(render, deps = [], key = null) {
+    return {
+        type: 'thunk',
+        key,
+        render,
+        deps,
+        vnode: null,
+        _isVNode: true
+    };
+}
+
+/**
+ * Create an object ref for the `ref` attribute.
+ * `current` holds the element while it is mounted and null after removal.
+ * @param {*} initialValue - Value of `current` before mounting
+ * @returns {{current: *}} Ref object
+ */
+export function createRef(initialValue = null) {
+    return { current: initialValue };
+}
+
 /**
  * Conditional rendering helper
  * @param {boolean} condition - Condition to check
@@ -198,6 +247,403 @@ export const label = (props, ...children) => h('label', props, ...children);
 export const br = () => h('br');
 export const hr = () => h('hr');
 
+/**
+ * Elements that never have children or a closing tag
+ */
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const TEMPLATE_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+// Stands in for a `${}` hole while a template is parsed
+const HOLE = '\u0000';
+
+// Attribute names and unquoted values end at a hole as well as at markup
+const ATTRIBUTE_NAME = new RegExp(`[^\\s/>="'${HOLE}]+`, 'y');
+const UNQUOTED_VALUE = new RegExp(`[^\\s>"'=<\`${HOLE}]+`, 'y');
+
+// Parsed templates keyed by their call site's strings array
+const templateCache = new WeakMap();
+
+/**
+ * Tagged template that builds virtual nodes from HTML-like markup.
+ * Holes can be attribute values (including event handlers), spread props
+ * (`<div ...${props}>`), tags (`<${tag}>...</${tag}>` or `</>`) and
+ * children. Produces the same vnodes as `h()`; a template with several
+ * root nodes returns an array.
+ * @example
+ * html`<button class="btn ${active ? 'active' : ''}" onClick=${save}>
+ *     ${label}
+ * </button>`
+ * @param {TemplateStringsArray} strings - Static template parts
+ * @param {...*} values - Hole values
+ * @returns {Object|Array} Virtual node, or array of root nodes
+ * @throws {Error} If the markup is malformed (message includes line and column)
+ */
+export function html(strings, ...values) {
+    let template = templateCache.get(strings);
+
+    if (!template) {
+        template = parseTemplate(strings);
+        templateCache.set(strings, template);
+    }
+
+    const nodes = template.map(node => buildTemplateNode(node, values));
+    return nodes.length === 1 ? nodes[0] : nodes;
+}
+
+/**
+ * Parse template strings into a tree of static parts and hole indexes
+ * @private
+ * @param {TemplateStringsArray} strings - Static template parts
+ * @returns {Array} Root template nodes
+ */
+function parseTemplate(strings) {
+    const state = { source: strings.join(HOLE), pos: 0, hole: 0 };
+    const { source } = state;
+    const root = { children: [] };
+    const stack = [root];
+
+    while (state.pos < source.length) {
+        const parent = stack[stack.length - 1];
+
+        if (source.startsWith('<!--', state.pos)) {
+            const end = source.indexOf('-->', state.pos + 4);
+
+            if (end === -1) {
+                throwTemplateError(state, 'Unterminated comment');
+            }
+
+            state.hole += source.slice(state.pos, end).split(HOLE).length - 1;
+            state.pos = end + 3;
+        } else if (source.startsWith('</', state.pos)) {
+            parseClosingTag(state, stack);
+        } else if (source[state.pos] === '<') {
+            const element = parseOpeningTag(state);
+            parent.children.push(element);
+
+            if (!element.selfClosing) {
+                stack.push(element);
+            }
+        } else if (source[state.pos] === HOLE) {
+            parent.children.push({ hole: state.hole++ });
+            state.pos++;
+        } else {
+            const start = state.pos;
+
+            while (state.pos < source.length && source[state.pos] !== '<' && source[state.pos] !== HOLE) {
+                state.pos++;
+            }
+
+            // Whitespace around line breaks is indentation, not content
+            const text = source.slice(start, state.pos).replace(/^\s*\n\s*|\s*\n\s*$/g, '');
+
+            if (text) {
+                parent.children.push(decodeEntities(text));
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        const element = stack[stack.length - 1];
+        throwTemplateError(state, `Unclosed tag <${describeTag(element.tag)}>`, element.start);
+    }
+
+    return root.children;
+}
+
+/**
+ * Parse an opening tag with its attributes
+ * @private
+ * @param {Object} state - Parser state
+ * @returns {Object} Template element node
+ */
+function parseOpeningTag(state) {
+    const { source } = state;
+    const start = state.pos++;
+    let tag;
+
+    if (source[state.pos] === HOLE) {
+        tag = { hole: state.hole++ };
+        state.pos++;
+    } else {
+        tag = readTemplateMatch(state, /[A-Za-z][\w:.-]*/y);
+
+        if (!tag) {
+            throwTemplateError(state, 'Expected a tag name after "<"');
+        }
+    }
+
+    const element = { tag, attrs: [], children: [], selfClosing: false, start };
+    let ended = false;
+
+    while (!ended) {
+        skipTemplateWhitespace(state);
+
+        if (state.pos >= source.length) {
+            throwTemplateError(state, `Unterminated tag <${describeTag(tag)}>`, start);
+        }
+
+        if (source.startsWith('/>', state.pos)) {
+            element.selfClosing = true;
+            state.pos += 2;
+            ended = true;
+        } else if (source[state.pos] === '>') {
+            state.pos++;
+            ended = true;
+        } else {
+            parseAttribute(state, element);
+        }
+    }
+
+    if (typeof tag === 'string' && VOID_TAGS.has(tag.toLowerCase())) {
+        element.selfClosing = true;
+    }
+
+    return element;
+}
+
+/**
+ * Parse one attribute or spread hole of an opening tag
+ * @private
+ * @param {Object} state - Parser state
+ * @param {Object} element - Template element node being parsed
+ */
+function parseAttribute(state, element) {
+    const { source } = state;
+
+    if (source.startsWith(`...${HOLE}`, state.pos)) {
+        element.attrs.push({ spread: state.hole++ });
+        state.pos += 4;
+        return;
+    }
+
+    const name = readTemplateMatch(state, ATTRIBUTE_NAME);
+
+    if (!name) {
+        throwTemplateError(state, `Unexpected character "${source[state.pos]}" in <${describeTag(element.tag)}>`);
+    }
+
+    skipTemplateWhitespace(state);
+
+    if (source[state.pos] === '=') {
+        state.pos++;
+        skipTemplateWhitespace(state);
+        element.attrs.push({ name, value: parseAttributeValue(state, name) });
+    } else {
+        element.attrs.push({ name, value: null });
+    }
+}
+
+/**
+ * Parse an attribute value into static strings and hole indexes
+ * @private
+ * @param {Object} state - Parser state
+ * @param {string} name - Attribute name, for error messages
+ * @returns {Array} Value parts
+ */
+function parseAttributeValue(state, name) {
+    const { source } = state;
+    const quote = source[state.pos];
+
+    if (quote === HOLE) {
+        state.pos++;
+        return [{ hole: state.hole++ }];
+    }
+
+    if (quote !== '"' && quote !== "'") {
+        const value = readTemplateMatch(state, UNQUOTED_VALUE);
+
+        if (!value) {
+            throwTemplateError(state, `Missing value for attribute "${name}"`);
+        }
+
+        return [decodeEntities(value)];
+    }
+
+    const start = state.pos++;
+    const parts = [];
+    let text = '';
+
+    while (source[state.pos] !== quote) {
+        if (state.pos >= source.length) {
+            throwTemplateError(state, `Unterminated value for attribute "${name}"`, start);
+        }
+
+        if (source[state.pos] === HOLE) {
+            if (text) {
+                parts.push(decodeEntities(text));
+                text = '';
+            }
+            parts.push({ hole: state.hole++ });
+        } else {
+            text += source[state.pos];
+        }
+
+        state.pos++;
+    }
+
+    state.pos++;
+
+    if (text || parts.length === 0) {
+        parts.push(decodeEntities(text));
+    }
+
+    return parts;
+}
+
+/**
+ * Parse a closing tag and pop the element it closes
+ * @private
+ * @param {Object} state - Parser state
+ * @param {Array} stack - Open elements
+ */
+function parseClosingTag(state, stack) {
+    const { source } = state;
+    const start = state.pos;
+    let name = null;
+
+    state.pos += 2;
+
+    if (source[state.pos] === HOLE) {
+        // `</${tag}>` closes whatever tag is open
+        state.hole++;
+        state.pos++;
+    } else {
+        name = readTemplateMatch(state, /[A-Za-z][\w:.-]*/y);
+    }
+
+    skipTemplateWhitespace(state);
+
+    if (source[state.pos] !== '>') {
+        throwTemplateError(state, 'Expected ">" to end closing tag');
+    }
+
+    state.pos++;
+
+    if (stack.length === 1) {
+        throwTemplateError(state, `Unexpected closing tag </${name || ''}>`, start);
+    }
+
+    const element = stack[stack.length - 1];
+
+    if (name && typeof element.tag === 'string' && name.toLowerCase() !== element.tag.toLowerCase()) {
+        throwTemplateError(state, `Expected </${element.tag}> but found </${name}>`, start);
+    }
+
+    stack.pop();
+}
+
+/**
+ * Build a virtual node from a parsed template node and hole values
+ * @private
+ * @param {*} node - Template node
+ * @param {Array} values - Hole values
+ * @returns {*} Virtual node or child value
+ */
+function buildTemplateNode(node, values) {
+    if (typeof node === 'string') {
+        return node;
+    }
+
+    if (node.hole !== undefined) {
+        return values[node.hole];
+    }
+
+    const tag = typeof node.tag === 'string' ? node.tag : values[node.tag.hole];
+    const props = {};
+
+    node.attrs.forEach(attr => {
+        if (attr.spread !== undefined) {
+            Object.assign(props, values[attr.spread]);
+        } else if (attr.value === null) {
+            props[attr.name] = true;
+        } else if (attr.value.length === 1 && typeof attr.value[0] !== 'string') {
+            // A lone hole keeps its value as is (handlers, objects, booleans)
+            props[attr.name] = values[attr.value[0].hole];
+        } else {
+            props[attr.name] = attr.value
+                .map(part => typeof part === 'string' ? part : (values[part.hole] ?? ''))
+                .join('');
+        }
+    });
+
+    return h(tag, props, ...node.children.map(child => buildTemplateNode(child, values)));
+}
+
+/**
+ * Consume the text matching a sticky regex at the current position
+ * @private
+ * @param {Object} state - Parser state
+ * @param {RegExp} pattern - Sticky pattern
+ * @returns {string} Matched text, or an empty string
+ */
+function readTemplateMatch(state, pattern) {
+    pattern.lastIndex = state.pos;
+    const match = pattern.exec(state.source);
+
+    if (!match) {
+        return '';
+    }
+
+    state.pos += match[0].length;
+    return match[0];
+}
+
+/**
+ * Skip whitespace at the current position
+ * @private
+ * @param {Object} state - Parser state
+ */
+function skipTemplateWhitespace(state) {
+    readTemplateMatch(state, /\s+/y);
+}
+
+/**
+ * Decode the character references templates commonly use
+ * @private
+ * @param {string} text - Static template text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => TEMPLATE_ENTITIES[entity]);
+}
+
+/**
+ * Name a tag for error messages
+ * @private
+ * @param {string|Object} tag - Tag name or hole
+ * @returns {string} Printable tag
+ */
+function describeTag(tag) {
+    return typeof tag === 'string' ? tag : '${...}';
+}
+
+/**
+ * Throw a template syntax error pointing at a position in the markup.
+ * Lines and columns are 1-based and each hole counts as one column.
+ * @private
+ * @param {Object} state - Parser state
+ * @param {string} message - Error description
+ * @param {number} pos - Offending position (defaults to the current one)
+ */
+function throwTemplateError(state, message, pos = state.pos) {
+    const lines = state.source.slice(0, pos).split('\n');
+    const line = lines.length;
+    const column = lines[line - 1].length + 1;
+
+    throw new Error(`html: ${message} at line ${line}, column ${column}`);
+}
+
 /**
  * Validate virtual node structure
  * @param {*} vnode - Virtual node to validate
@@ -424,6 +870,17 @@ export function vnodeToHTML(vnode) {
         return vnode.children ? vnode.children.map(vnodeToHTML).join('') : '';
     }
     
+    if (vnode.type === 'thunk') {
+        if (vnode.vnode == null) {
+            vnode.vnode = vnode.render(...vnode.deps);
+        }
+        return vnodeToHTML(vnode.vnode);
+    }
+    
+    if (vnode.type === 'portal') {
+        return ''; // Portal content is mounted on the client
+    }
+    
     if (vnode.type === 'element') {
         const { tag, attrs, children } = vnode;
         const attrString = attrs ? Object.entries(attrs)
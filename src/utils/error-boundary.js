@@ -3,6 +3,8 @@
  * Provides robust error handling and recovery mechanisms
  */
 
+import { h } from './dom-helpers.js';
+
 /**
  * Error types for categorization
  */
@@ -97,27 +99,7 @@ export class ErrorBoundary {
      * @returns {*} Recovery result or null
      */
     handleError(context, error, type = ERROR_TYPES.SYSTEM, severity = ERROR_SEVERITY.MEDIUM) {
-        const errorInfo = {
-            context,
-            error,
-            type,
-            severity,
-            timestamp: Date.now(),
-            stack: error.stack,
-            message: error.message,
-            id: this._generateErrorId()
-        };
-
-        // Log the error
-        this._logError(errorInfo);
-        
-        // Store error for analysis
-        this.errors.push(errorInfo);
-        
-        // Keep only last 100 errors
-        if (this.errors.length > 100) {
-            this.errors.shift();
-        }
+        const errorInfo = this._recordError(context, error, type, severity);
 
         // Try to recover from the error
         if (this.options.enableRecovery) {
@@ -286,6 +268,41 @@ export class ErrorBoundary {
         }
     }
 
+    /**
+     * Log and store an error without trying to recover from it
+     * @private
+     * @param {string} context - Error context
+     * @param {Error} error - The error that occurred
+     * @param {string} type - Error type
+     * @param {string} severity - Error severity
+     * @returns {Object} Error information
+     */
+    _recordError(context, error, type = ERROR_TYPES.SYSTEM, severity = ERROR_SEVERITY.MEDIUM) {
+        const errorInfo = {
+            context,
+            error,
+            type,
+            severity,
+            timestamp: Date.now(),
+            stack: error.stack,
+            message: error.message,
+            id: this._generateErrorId()
+        };
+
+        // Log the error
+        this._logError(errorInfo);
+        
+        // Store error for analysis
+        this.errors.push(errorInfo);
+        
+        // Keep only last 100 errors
+        if (this.errors.length > 100) {
+            this.errors.shift();
+        }
+
+        return errorInfo;
+    }
+
     /**
      * Attempt to recover from an error
      * @private
@@ -367,31 +384,20 @@ export class ErrorBoundary {
      * @returns {Object} Error fallback vnode
      */
     _createErrorFallback(errorInfo) {
-        return {
-            tag: 'div',
-            attrs: {
-                class: 'mini-framework-error',
-                style: 'padding: 20px; border: 2px solid #ff6b6b; background: #ffe0e0; color: #d63031; border-radius: 4px;'
-            },
-            children: [
-                {
-                    tag: 'h3',
-                    children: ['⚠️ Something went wrong']
-                },
-                this.debug ? {
-                    tag: 'details',
-                    children: [
-                        { tag: 'summary', children: ['Error Details'] },
-                        { tag: 'p', children: [`Context: ${errorInfo.context}`] },
-                        { tag: 'p', children: [`Type: ${errorInfo.type}`] },
-                        { tag: 'p', children: [`Message: ${errorInfo.error.message}`] }
-                    ]
-                } : {
-                    tag: 'p',
-                    children: ['Please try refreshing the page.']
-                }
-            ]
-        };
+        return h('div', {
+            class: 'mini-framework-error',
+            style: 'padding: 20px; border: 2px solid #ff6b6b; background: #ffe0e0; color: #d63031; border-radius: 4px;'
+        },
+            h('h3', null, '⚠️ Something went wrong'),
+            this.debug
+                ? h('details', null,
+                    h('summary', null, 'Error Details'),
+                    h('p', null, `Context: ${errorInfo.context}`),
+                    h('p', null, `Type: ${errorInfo.type}`),
+                    h('p', null, `Message: ${errorInfo.error.message}`)
+                )
+                : h('p', null, 'Please try refreshing the page.')
+        );
     }
 
     /**
@@ -168,6 +168,30 @@ export function deepEqual(a, b) {
     );
 }
 
+/**
+ * Compare two values one level deep (array items or own object keys
+ * compared with Object.is)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if shallowly equal
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    
+    if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+    
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    
+    if (keysA.length !== keysB.length) return false;
+    
+    return keysA.every(key => 
+        Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+    );
+}
+
 /**
  * Pick specific properties from an object
  * @param {Object} obj - Source object
@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component } from '../../src/core/component-instance.js';
+import { errorBoundary, suspense, lazy } from '../../src/core/boundaries.js';
+import { ERROR_TYPES } from '../../src/utils/error-boundary.js';
+import { h, createRef } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+class Boom extends Component {
+  render() {
+    if (this.props.explode) {
+      throw new Error('boom');
+    }
+    return h('span', null, 'fine');
+  }
+}
+
+describe('errorBoundary', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  it('should render the fallback in place when a child throws on mount', () => {
+    const onError = vi.fn();
+    dom.render(h('main', null,
+      h('p', null, 'before'),
+      errorBoundary({ fallback: h('em', null, 'failed'), onError }, h('div', null, h(Boom, { explode: true }))),
+      h('p', null, 'after')
+    ), container);
+
+    expect(container.innerHTML).toBe('<main><p>before</p><em>failed</em><p>after</p></main>');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+  });
+
+  it('should render children when nothing throws', () => {
+    dom.render(errorBoundary({ fallback: 'failed' }, h(Boom), h('i', null, '!')), container);
+
+    expect(container.textContent).toBe('fine!');
+  });
+
+  it('should report errors to the ErrorBoundary onError handlers', () => {
+    const handler = vi.fn();
+    dom.errorBoundary.onError(ERROR_TYPES.RENDER, handler);
+
+    dom.render(errorBoundary({ fallback: 'failed' }, h(Boom, { explode: true })), container);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+  });
+
+  it('should leave handleError stopping at the first handler that returns a value', () => {
+    const handler = vi.fn();
+    dom.errorBoundary.onError(ERROR_TYPES.RENDER, handler);
+
+    const recovery = dom.errorBoundary.handleError('Render', new Error('boom'), ERROR_TYPES.RENDER);
+
+    expect(recovery.attrs.class).toBe('mini-framework-error');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should use the framework error fallback by default', () => {
+    dom.render(errorBoundary({}, h(Boom, { explode: true })), container);
+
+    expect(container.querySelector('.mini-framework-error')).not.toBeNull();
+  });
+
+  it('should catch errors thrown on updates and unmount the failed subtree', () => {
+    const unmounted = vi.fn();
+    class Tracked extends Component {
+      unmounted() {
+        unmounted();
+      }
+
+      render() {
+        return h('b', null, 'tracked');
+      }
+    }
+    const app = explode => errorBoundary({ fallback: h('em', null, 'failed') }, h(Tracked), h(Boom, { explode }));
+
+    const oldVNode = app(false);
+    dom.render(oldVNode, container);
+    dom.patch(container, oldVNode, app(true));
+
+    expect(container.innerHTML).toBe('<em>failed</em>');
+    expect(unmounted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should catch errors from components re-rendering on their own', async () => {
+    const ref = createRef();
+    class Toggle extends Component {
+      render() {
+        if (this.state.explode) {
+          throw new Error('boom');
+        }
+        return h('span', null, 'ok');
+      }
+    }
+
+    dom.render(h('section', null, errorBoundary({ fallback: h('em', null, 'failed') }, h(Toggle, { ref }))), container);
+    ref.current.setState({ explode: true });
+    await flush();
+
+    expect(container.innerHTML).toBe('<section><em>failed</em></section>');
+  });
+
+  it('should render the children again when resetKeys change', () => {
+    const app = (explode, key) => h('div', null,
+      errorBoundary({ fallback: h('em', null, 'failed'), resetKeys: [key] }, h(Boom, { explode }))
+    );
+
+    const v1 = app(true, 1);
+    dom.render(v1, container);
+    const v2 = app(false, 1);
+    dom.patch(container, v1, v2);
+    expect(container.textContent).toBe('failed');
+
+    dom.patch(container, v2, app(false, 2));
+    expect(container.innerHTML).toBe('<div><span>fine</span></div>');
+  });
+
+  it('should pass the error and a reset function to fallback functions', async () => {
+    let explode = true;
+    class Flaky extends Component {
+      render() {
+        if (explode) {
+          throw new Error('flaky');
+        }
+        return h('span', null, 'recovered');
+      }
+    }
+    let reset;
+
+    dom.render(errorBoundary({
+      fallback: (error, retry) => {
+        reset = retry;
+        return h('em', null, error.message);
+      }
+    }, h(Flaky)), container);
+    expect(container.textContent).toBe('flaky');
+
+    explode = false;
+    reset();
+    await flush();
+    expect(container.innerHTML).toBe('<span>recovered</span>');
+  });
+
+  it('should let errors in the fallback reach the next boundary', () => {
+    dom.render(errorBoundary({ fallback: h('em', null, 'outer') },
+      errorBoundary({ fallback: () => { throw new Error('fallback'); } }, h(Boom, { explode: true }))
+    ), container);
+
+    expect(container.innerHTML).toBe('<em>outer</em>');
+  });
+});
+
+describe('suspense and lazy', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  const Greeting = ({ name }) => h('b', null, `Hello ${name}`);
+
+  it('should show the fallback until the lazy component loads', async () => {
+    const load = deferred();
+    const LazyGreeting = lazy(() => load.promise);
+
+    dom.render(h('main', null, suspense({ fallback: h('i', null, 'loading') }, h(LazyGreeting, { name: 'Ada' }))), container);
+    expect(container.innerHTML).toBe('<main><i>loading</i></main>');
+
+    load.resolve({ default: Greeting });
+    await flush();
+
+    expect(container.innerHTML).toBe('<main><b>Hello Ada</b></main>');
+  });
+
+  it('should wait for every lazy child', async () => {
+    const first = deferred();
+    const second = deferred();
+    const First = lazy(() => first.promise);
+    const Second = lazy(() => second.promise);
+
+    dom.render(suspense({ fallback: 'loading' }, h(First, { name: 'A' }), h(Second, { name: 'B' })), container);
+
+    first.resolve(Greeting);
+    await flush();
+    expect(container.textContent).toBe('loading');
+
+    second.resolve(Greeting);
+    await flush();
+    expect(container.textContent).toBe('Hello AHello B');
+  });
+
+  it('should not mount siblings of a loading component', async () => {
+    const load = deferred();
+    const mounted = vi.fn();
+    class Sibling extends Component {
+      mounted() {
+        mounted();
+      }
+
+      render() {
+        return h('span', null, 'sibling');
+      }
+    }
+    const LazyGreeting = lazy(() => load.promise);
+
+    dom.render(suspense({ fallback: 'loading' }, h(Sibling), h(LazyGreeting, { name: 'Ada' })), container);
+    expect(mounted).not.toHaveBeenCalled();
+
+    load.resolve(Greeting);
+    await flush();
+    expect(mounted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render lazy components without a suspense boundary once loaded', async () => {
+    const LazyGreeting = lazy(() => Promise.resolve({ default: Greeting }));
+
+    dom.render(h('div', null, h(LazyGreeting, { name: 'Ada' })), container);
+    expect(container.textContent).toBe('');
+
+    await flush();
+    expect(container.textContent).toBe('Hello Ada');
+  });
+
+  it('should retry failed loads and hand the last error to an error boundary', async () => {
+    const loader = vi.fn(() => Promise.reject(new Error('offline')));
+    const LazyGreeting = lazy(loader, { retries: 1 });
+
+    dom.render(errorBoundary({ fallback: error => h('em', null, error.message) },
+      suspense({ fallback: 'loading' }, h(LazyGreeting, { name: 'Ada' }))
+    ), container);
+    await flush();
+    await flush();
+
+    expect(container.innerHTML).toBe('<em>offline</em>');
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail after the suspense timeout', async () => {
+    vi.useFakeTimers();
+    try {
+      const LazyGreeting = lazy(() => new Promise(() => {}), { timeout: 60000 });
+
+      dom.render(errorBoundary({ fallback: error => error.message },
+        suspense({ fallback: 'loading', timeout: 100 }, h(LazyGreeting))
+      ), container);
+      expect(container.textContent).toBe('loading');
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(container.textContent).toBe('suspense: content still loading after 100ms');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should preload lazy components', async () => {
+    const loader = vi.fn(() => Promise.resolve(Greeting));
+    const LazyGreeting = lazy(loader);
+
+    await LazyGreeting.preload();
+    dom.render(suspense({ fallback: 'loading' }, h(LazyGreeting, { name: 'Ada' })), container);
+
+    expect(container.textContent).toBe('Hello Ada');
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,290 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component, isComponentClass } from '../../src/core/component-instance.js';
+import { h, createRef } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+class Counter extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { count: props.start || 0 };
+  }
+
+  increment() {
+    this.setState(state => ({ count: state.count + 1 }));
+  }
+
+  render() {
+    return h('button', null, `${this.props.label}: ${this.state.count}`);
+  }
+}
+
+describe('Components', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  it('should tell class components from function components', () => {
+    expect(isComponentClass(Counter)).toBe(true);
+    expect(isComponentClass(() => null)).toBe(false);
+  });
+
+  it('should render class components with props', () => {
+    dom.render(h('div', null, h(Counter, { label: 'Clicks', start: 2 })), container);
+
+    expect(container.innerHTML).toBe('<div><button>Clicks: 2</button></div>');
+  });
+
+  it('should pass props, children and the instance to function components', () => {
+    const Card = (props, instance) => {
+      expect(instance).toBeInstanceOf(Component);
+      return h('section', { class: props.variant }, props.children);
+    };
+
+    dom.render(h(Card, { variant: 'wide' }, h('p', null, 'body')), container);
+
+    expect(container.innerHTML).toBe('<section class="wide"><p>body</p></section>');
+  });
+
+  it('should batch setState calls and re-render only that instance', async () => {
+    const ref = createRef();
+    const parentRender = vi.fn(() => h('div', null, h(Counter, { label: 'A', ref }), h(Counter, { label: 'B' })));
+    const Parent = () => parentRender();
+    const renderSpy = vi.spyOn(Counter.prototype, 'render');
+    dom.render(h(Parent), container);
+    renderSpy.mockClear();
+
+    ref.current.increment();
+    ref.current.increment();
+    expect(container.textContent).toBe('A: 0B: 0');
+
+    await flush();
+
+    expect(container.textContent).toBe('A: 2B: 0');
+    expect(renderSpy).toHaveBeenCalledTimes(1);
+    expect(parentRender).toHaveBeenCalledTimes(1);
+    renderSpy.mockRestore();
+  });
+
+  it('should keep instances and their state when the parent re-renders', async () => {
+    const ref = createRef();
+    const oldVNode = h('div', null, h(Counter, { label: 'Old', ref }));
+    dom.render(oldVNode, container);
+    const instance = ref.current;
+    instance.increment();
+    await flush();
+
+    dom.patch(container, oldVNode, h('div', null, h(Counter, { label: 'New', ref })));
+
+    expect(ref.current).toBe(instance);
+    expect(instance.props.label).toBe('New');
+    expect(container.textContent).toBe('New: 1');
+  });
+
+  it('should keep instances of keyed components when reordering', () => {
+    const refs = { a: createRef(), b: createRef() };
+    const list = keys => h('ul', null, keys.map(key => h(Counter, { key, label: key, ref: refs[key] })));
+    const oldVNode = list(['a', 'b']);
+    dom.render(oldVNode, container);
+    const [a, b] = [refs.a.current, refs.b.current];
+
+    dom.patch(container, oldVNode, list(['b', 'a']));
+
+    expect(container.textContent).toBe('b: 0a: 0');
+    expect(refs.a.current).toBe(a);
+    expect(refs.b.current).toBe(b);
+  });
+
+  it('should unmount instances when their component changes', async () => {
+    const ref = createRef();
+    const Other = () => h('p', null, 'other');
+    const oldVNode = h('div', null, h(Counter, { label: 'A', ref }));
+    dom.render(oldVNode, container);
+    const instance = ref.current;
+
+    dom.patch(container, oldVNode, h('div', null, h(Other)));
+    instance.increment();
+    await flush();
+
+    expect(ref.current).toBeNull();
+    expect(instance._isUnmounted).toBe(true);
+    expect(container.innerHTML).toBe('<div><p>other</p></div>');
+  });
+
+  it('should give function components local state', async () => {
+    let self;
+    const Toggle = (props, instance) => {
+      self = instance;
+      return h('span', null, instance.state.on ? 'on' : 'off');
+    };
+    dom.render(h(Toggle), container);
+
+    self.setState({ on: true });
+    await flush();
+
+    expect(container.textContent).toBe('on');
+  });
+
+  it('should render nothing as a placeholder that can be filled later', async () => {
+    const ref = createRef();
+    class Lazy extends Component {
+      render() {
+        return this.state.ready ? h('p', null, 'ready') : null;
+      }
+    }
+    dom.render(h('div', null, h(Lazy, { ref }), h('span')), container);
+    expect(container.innerHTML).toBe('<div><!----><span></span></div>');
+
+    ref.current.setState({ ready: true });
+    await flush();
+
+    expect(container.innerHTML).toBe('<div><p>ready</p><span></span></div>');
+  });
+
+  it('should keep ancestors in step when a root element is replaced', async () => {
+    const ref = createRef();
+    class Swap extends Component {
+      render() {
+        return h(this.state.alt ? 'b' : 'i', null, 'x');
+      }
+    }
+    class Outer extends Component {
+      render() {
+        return h(Swap, { ref });
+      }
+    }
+    const outerRef = createRef();
+    dom.render(h(Outer, { ref: outerRef }), container);
+
+    ref.current.setState({ alt: true });
+    await flush();
+    outerRef.current.forceUpdate();
+
+    expect(container.innerHTML).toBe('<b>x</b>');
+    expect(outerRef.current._node).toBe(container.firstChild);
+  });
+
+  it('should call setState callbacks after the update is in the document', async () => {
+    const ref = createRef();
+    dom.render(h(Counter, { label: 'A', ref }), container);
+    const callback = vi.fn(() => expect(container.textContent).toBe('A: 5'));
+
+    ref.current.setState({ count: 5 }, callback);
+    await flush();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call callbacks of setState calls made before mounting once mounted', () => {
+    const callback = vi.fn(() => expect(container.textContent).toBe('A: 3'));
+    class Early extends Counter {
+      constructor(props) {
+        super(props);
+        this.setState({ count: 3 }, callback);
+      }
+    }
+
+    dom.render(h(Early, { label: 'A' }), container);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hydrate component markup', () => {
+    const ref = createRef();
+    container.innerHTML = '<div><button>A: 0</button></div>';
+    const button = container.querySelector('button');
+
+    expect(dom.hydrate(h('div', null, h(Counter, { label: 'A', ref })), container)).toEqual([]);
+    expect(ref.current._node).toBe(button);
+  });
+
+  describe('lifecycle', () => {
+    let log;
+
+    const tracked = (name, render) => class extends Component {
+      mounted() {
+        log.push(`mounted ${name}`);
+        this.inDocument = container.contains(this._node);
+      }
+
+      updated(prevProps) {
+        log.push(`updated ${name} from ${prevProps.n}`);
+      }
+
+      beforeUnmount() {
+        log.push(`beforeUnmount ${name}`);
+        this.inDocumentBefore = container.contains(this._node);
+      }
+
+      unmounted() {
+        log.push(`unmounted ${name}`);
+        this.inDocumentAfter = container.contains(this._node);
+      }
+
+      render() {
+        return render(this.props);
+      }
+    };
+
+    const Child = tracked('child', props => h('span', null, String(props.n)));
+    const Parent = tracked('parent', props => h('div', null, h(Child, { n: props.n })));
+
+    beforeEach(() => {
+      log = [];
+    });
+
+    it('should call mounted children first, once in the document', () => {
+      const ref = createRef();
+      dom.render(h('section', null, h(Parent, { n: 1, ref })), container);
+
+      expect(log).toEqual(['mounted child', 'mounted parent']);
+      expect(ref.current.inDocument).toBe(true);
+    });
+
+    it('should call updated children first with the previous props', () => {
+      const oldVNode = h('section', null, h(Parent, { n: 1 }));
+      dom.render(oldVNode, container);
+      log = [];
+
+      dom.patch(container, oldVNode, h('section', null, h(Parent, { n: 2 })));
+
+      expect(log).toEqual(['updated child from 1', 'updated parent from 1']);
+    });
+
+    it('should call beforeUnmount parents first and unmounted children first', () => {
+      const ref = createRef();
+      const oldVNode = h('section', null, h(Parent, { n: 1, ref }));
+      dom.render(oldVNode, container);
+      const parent = ref.current;
+      log = [];
+
+      dom.patch(container, oldVNode, h('section', null));
+
+      expect(log).toEqual(['beforeUnmount parent', 'beforeUnmount child', 'unmounted child', 'unmounted parent']);
+      expect(parent.inDocumentBefore).toBe(true);
+      expect(parent.inDocumentAfter).toBe(false);
+    });
+
+    it('should report errors from lifecycle methods without breaking the patch', () => {
+      class Broken extends Component {
+        mounted() {
+          throw new Error('boom');
+        }
+
+        render() {
+          return h('p', null, 'ok');
+        }
+      }
+
+      dom.render(h(Broken), container);
+
+      expect(container.innerHTML).toBe('<p>ok</p>');
+      expect(dom.errorBoundary.errors.at(-1).message).toBe('boom');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { MiniFramework } from '../../src/core/component.js';
+import { h, memo } from '../../src/utils/dom-helpers.js';
 
 describe('MiniFramework', () => {
   let container;
@@ -108,6 +109,41 @@ describe('MiniFramework', () => {
       expect(container.innerHTML).toContain('Updated Message');
     });
 
+    it('should patch the existing tree on re-render', () => {
+      framework.render(h('div', { class: 'app' }, h('input', { class: 'field' })));
+      const root = container.firstChild;
+      const field = container.querySelector('.field');
+      field.value = 'typed';
+
+      framework.render(h('div', { class: 'app updated' }, h('input', { class: 'field' })));
+
+      expect(container.firstChild).toBe(root);
+      expect(container.querySelector('.field')).toBe(field);
+      expect(field.value).toBe('typed');
+      expect(root.className).toBe('app updated');
+    });
+
+    it('should re-mount when the root type changes', () => {
+      framework.render(h('div', null, 'first'));
+      const root = container.firstChild;
+
+      framework.render(h('section', null, 'second'));
+
+      expect(container.firstChild).not.toBe(root);
+      expect(container.firstChild.tagName).toBe('SECTION');
+      expect(container.childNodes.length).toBe(1);
+    });
+
+    it('should report skipped memoized subtrees', () => {
+      const items = ['a', 'b'];
+      const view = () => h('div', null, memo(list => h('ul', null, list.map(item => h('li', null, item))), [items]));
+
+      framework.render(view());
+      framework.render(view());
+
+      expect(framework.getPerformance().skippedSubtrees).toBe(1);
+    });
+
     it('should handle rendering errors gracefully', () => {
       const badVnode = {
         tag: 'div',
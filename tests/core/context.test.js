@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component } from '../../src/core/component-instance.js';
+import { createContext } from '../../src/core/context.js';
+import { useContext } from '../../src/core/hooks.js';
+import { h, memo, createRef } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Context', () => {
+  let dom;
+  let container;
+  let Theme;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+    Theme = createContext('light');
+  });
+
+  it('should read the default value without a provider', () => {
+    const Label = () => h('span', null, useContext(Theme));
+
+    dom.render(h(Label), container);
+
+    expect(container.innerHTML).toBe('<span>light</span>');
+  });
+
+  it('should read the nearest provider from class and function components', () => {
+    class ClassLabel extends Component {
+      render() {
+        return h('b', null, this.getContext(Theme));
+      }
+    }
+    const FunctionLabel = () => h('i', null, useContext(Theme));
+
+    dom.render(h(Theme.Provider, { value: 'dark' },
+      h('div', null, h(ClassLabel), h(Theme.Provider, { value: 'blue' }, h(FunctionLabel)))
+    ), container);
+
+    expect(container.querySelector('b').textContent).toBe('dark');
+    expect(container.querySelector('i').textContent).toBe('blue');
+  });
+
+  it('should render Consumer children functions with the value', () => {
+    dom.render(h(Theme.Provider, { value: 'dark' },
+      h(Theme.Consumer, null, theme => h('span', null, theme))
+    ), container);
+
+    expect(container.textContent).toBe('dark');
+  });
+
+  it('should re-render only the consumers when the value changes', async () => {
+    const consumerRender = vi.fn();
+    const otherRender = vi.fn();
+    const Consumer = () => {
+      consumerRender();
+      return h('span', null, useContext(Theme));
+    };
+    const Other = () => {
+      otherRender();
+      return h('p', null, 'static');
+    };
+    const app = theme => h(Theme.Provider, { value: theme },
+      h('div', null, memo(() => h('section', null, h(Other), h(Consumer))))
+    );
+
+    const oldVNode = app('dark');
+    dom.render(oldVNode, container);
+    dom.patch(container, oldVNode, app('blue'));
+    await flush();
+
+    expect(container.querySelector('span').textContent).toBe('blue');
+    expect(consumerRender).toHaveBeenCalledTimes(2);
+    expect(otherRender).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render consumers once when the patch re-renders them anyway', async () => {
+    const render = vi.fn();
+    const Consumer = () => {
+      render();
+      return h('span', null, useContext(Theme));
+    };
+    const app = theme => h(Theme.Provider, { value: theme }, h(Consumer));
+
+    const oldVNode = app('dark');
+    dom.render(oldVNode, container);
+    const schedule = vi.spyOn(dom, '_scheduleComponentUpdate');
+    dom.patch(container, oldVNode, app('blue'));
+    await flush();
+
+    expect(container.textContent).toBe('blue');
+    expect(render).toHaveBeenCalledTimes(2);
+    expect(schedule).not.toHaveBeenCalled();
+  });
+
+  it('should leave consumers alone when the value is unchanged', async () => {
+    const render = vi.fn();
+    const Consumer = () => {
+      render();
+      return h('span', null, useContext(Theme));
+    };
+    const app = theme => h(Theme.Provider, { value: theme },
+      h('div', null, memo(() => h(Consumer)))
+    );
+
+    const oldVNode = app('dark');
+    dom.render(oldVNode, container);
+    dom.patch(container, oldVNode, app('dark'));
+    await flush();
+
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forget consumers once they are unmounted', () => {
+    const ref = createRef();
+    const Consumer = () => h('span', null, useContext(Theme));
+    const oldVNode = h(Theme.Provider, { value: 'dark', ref }, h(Consumer));
+
+    dom.render(oldVNode, container);
+    expect(ref.current._consumers.size).toBe(1);
+
+    dom.patch(container, oldVNode, h(Theme.Provider, { value: 'dark', ref }));
+    expect(ref.current._consumers.size).toBe(0);
+  });
+});
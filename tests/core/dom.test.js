@@ -1,5 +1,7 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DOM } from '../../src/core/dom.js';
+import { EventManager } from '../../src/core/dom-events.js';
+import { h, fragment, portal, memo, createRef, vnodeToHTML } from '../../src/utils/dom-helpers.js';
 
 describe('DOM', () => {
   let dom;
@@ -305,4 +307,783 @@ describe('DOM', () => {
       expect(dom.vnodeCache.size).toBe(0);
     });
   });
+  describe('keyed children', () => {
+    const list = keys => h('ul', null, keys.map(key => h('li', { key }, key)));
+
+    it('should move existing nodes when keyed children are reordered', () => {
+      const oldVNode = list(['a', 'b', 'c']);
+      const element = dom.createElement(oldVNode);
+      const [a, b, c] = Array.from(element.childNodes);
+
+      dom.updateElement(element, oldVNode, list(['c', 'a', 'b']));
+
+      expect(Array.from(element.childNodes)).toEqual([c, a, b]);
+      expect(element.textContent).toBe('cab');
+    });
+
+    it('should keep following nodes when removing from the middle', () => {
+      const oldVNode = list(['a', 'b', 'c', 'd']);
+      const element = dom.createElement(oldVNode);
+      const [a, , c, d] = Array.from(element.childNodes);
+      c.dataset.marker = 'kept';
+
+      dom.updateElement(element, oldVNode, list(['a', 'c', 'd']));
+
+      expect(Array.from(element.childNodes)).toEqual([a, c, d]);
+      expect(element.childNodes[1].dataset.marker).toBe('kept');
+    });
+
+    it('should insert new keyed nodes in place', () => {
+      const oldVNode = list(['a', 'c']);
+      const element = dom.createElement(oldVNode);
+      const [a, c] = Array.from(element.childNodes);
+
+      dom.updateElement(element, oldVNode, list(['a', 'b', 'c', 'd']));
+
+      expect(element.textContent).toBe('abcd');
+      expect(element.childNodes[0]).toBe(a);
+      expect(element.childNodes[2]).toBe(c);
+    });
+
+    it('should warn about duplicate keys in debug mode', () => {
+      const dom = new DOM({ debug: true });
+      const oldVNode = list(['a']);
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, list(['a', 'a']));
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Duplicate key "a"'));
+      expect(element.childNodes.length).toBe(2);
+    });
+  });
+  describe('namespaces', () => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    it('should create SVG elements in the SVG namespace', () => {
+      const element = dom.createElement(
+        h('svg', { viewBox: '0 0 10 10', class: 'icon' },
+          h('linearGradient', { id: 'g' }),
+          h('circle', { cx: 5, cy: 5, r: 4 })
+        )
+      );
+
+      expect(element.namespaceURI).toBe(SVG_NS);
+      expect(element.getAttribute('viewBox')).toBe('0 0 10 10');
+      expect(element.getAttribute('class')).toBe('icon');
+      expect(element.firstChild.localName).toBe('linearGradient');
+      expect(element.lastChild.namespaceURI).toBe(SVG_NS);
+      expect(element.lastChild.getAttribute('r')).toBe('4');
+    });
+
+    it('should switch back to HTML inside foreignObject', () => {
+      const element = dom.createElement(
+        h('svg', null, h('foreignObject', null, h('div', { class: 'html' }, 'text')))
+      );
+      const div = element.querySelector('.html');
+
+      expect(element.firstChild.localName).toBe('foreignObject');
+      expect(div.namespaceURI).toBe('http://www.w3.org/1999/xhtml');
+    });
+
+    it('should set and remove xlink:href', () => {
+      const oldVNode = h('svg', null, h('use', { 'xlink:href': '#icon' }));
+      const element = dom.createElement(oldVNode);
+      const use = element.firstChild;
+
+      expect(use.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe('#icon');
+
+      dom.updateElement(element, oldVNode, h('svg', null, h('use', {})));
+      expect(use.hasAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe(false);
+    });
+
+    it('should create new SVG children in the SVG namespace when patching', () => {
+      const oldVNode = h('svg', null);
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('svg', null, h('rect', { width: 2 })));
+
+      expect(element.firstChild.namespaceURI).toBe(SVG_NS);
+      expect(element.firstChild.getAttribute('width')).toBe('2');
+    });
+
+    it('should create MathML elements in the MathML namespace', () => {
+      const element = dom.createElement(h('math', null, h('mi', null, 'x')));
+
+      expect(element.namespaceURI).toBe('http://www.w3.org/1998/Math/MathML');
+      expect(element.firstChild.namespaceURI).toBe('http://www.w3.org/1998/Math/MathML');
+    });
+  });
+  describe('refs', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    it('should assign object refs after the element is inserted', () => {
+      const ref = createRef();
+      let connected = null;
+      const callback = vi.fn(el => {
+        connected = el && el.isConnected;
+      });
+
+      dom.render(h('div', null, h('input', { ref }), h('span', { ref: callback })), container);
+
+      expect(ref.current).toBe(container.querySelector('input'));
+      expect(callback).toHaveBeenCalledWith(container.querySelector('span'));
+      expect(connected).toBe(true);
+    });
+
+    it('should re-assign the ref when a patch replaces the node', () => {
+      const ref = createRef();
+      const oldVNode = h('div', null, h('span', { ref }));
+      const element = dom.render(oldVNode, container);
+      const span = ref.current;
+
+      dom.updateElement(element, oldVNode, h('div', null, h('p', { ref })));
+
+      expect(ref.current).not.toBe(span);
+      expect(ref.current.tagName).toBe('P');
+    });
+
+    it('should reset refs to null when the node is removed', () => {
+      const ref = createRef();
+      const callback = vi.fn();
+      const oldVNode = h('div', null, h('section', { ref }, h('b', { ref: callback })));
+      const element = dom.render(oldVNode, container);
+
+      dom.updateElement(element, oldVNode, h('div', null));
+
+      expect(ref.current).toBeNull();
+      expect(callback).toHaveBeenLastCalledWith(null);
+    });
+  });
+  describe('hydrate', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    it('should adopt server-rendered nodes and attach handlers and refs', () => {
+      const onClick = vi.fn();
+      const ref = createRef();
+      const vnode = h('div', { class: 'app' },
+        h('button', { onClick, ref }, 'Count: ', 1)
+      );
+      container.innerHTML = vnodeToHTML(vnode);
+      const button = container.querySelector('button');
+
+      const mismatches = dom.hydrate(vnode, container);
+      button.click();
+
+      expect(mismatches).toEqual([]);
+      expect(container.querySelector('button')).toBe(button);
+      expect(ref.current).toBe(button);
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(button.childNodes.length).toBe(2);
+    });
+
+    it('should allow patching after hydration', () => {
+      const vnode = h('ul', null, h('li', { key: 'a' }, 'A'), h('li', { key: 'b' }, 'B'));
+      container.innerHTML = `\n  ${vnodeToHTML(vnode)}\n`;
+      dom.hydrate(vnode, container);
+      const list = container.firstChild;
+      const [a, b] = Array.from(list.childNodes);
+
+      dom.updateElement(list, vnode, h('ul', null, h('li', { key: 'b' }, 'B'), h('li', { key: 'a' }, 'A')));
+
+      expect(container.childNodes.length).toBe(1);
+      expect(Array.from(list.childNodes)).toEqual([b, a]);
+    });
+
+    it('should report mismatches in debug mode without touching the markup', () => {
+      const dom = new DOM({ debug: true });
+      container.innerHTML = '<div id="old"><span>Hi</span></div>';
+
+      const mismatches = dom.hydrate(h('div', { id: 'new' }, h('p', null, 'Hi')), container);
+
+      expect(mismatches.map(m => m.type)).toEqual(['attribute', 'tag']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Hydration mismatch (tag)'), expect.anything());
+      expect(container.innerHTML).toBe('<div id="old"><span>Hi</span></div>');
+    });
+
+    it('should repair mismatches when asked to', () => {
+      container.innerHTML = '<div id="old"><span>Hi</span>Bye<i></i></div>';
+
+      const mismatches = dom.hydrate(h('div', { id: 'new' }, h('p', null, 'Hi'), 'See you'), container, { repair: true });
+
+      expect(mismatches.map(m => m.type)).toEqual(['attribute', 'tag', 'text', 'extra']);
+      expect(container.innerHTML).toBe('<div id="new"><p>Hi</p>See you</div>');
+    });
+  });
+  describe('fragments', () => {
+    const elements = node => Array.from(node.childNodes).filter(child => child.nodeType !== Node.COMMENT_NODE);
+
+    it('should keep later siblings aligned when a fragment child grows', () => {
+      const oldVNode = h('div', null, fragment(h('i', null, '1')), h('p', { class: 'after' }, 'after'));
+      const element = dom.createElement(oldVNode);
+      const after = element.querySelector('.after');
+
+      dom.updateElement(element, oldVNode,
+        h('div', null, fragment(h('i', null, '1'), h('i', null, '2')), h('p', { class: 'after' }, 'after')));
+
+      expect(elements(element).map(node => node.textContent)).toEqual(['1', '2', 'after']);
+      expect(element.querySelector('.after')).toBe(after);
+    });
+
+    it('should move keyed fragments as a unit', () => {
+      const row = key => ({ ...fragment(h('dt', null, key), h('dd', null, key)), key });
+      const oldVNode = h('dl', null, row('a'), row('b'));
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('dl', null, row('b'), row('a')));
+
+      expect(elements(element).map(node => node.tagName + node.textContent)).toEqual(['DTb', 'DDb', 'DTa', 'DDa']);
+    });
+
+    it('should remove a fragment with all of its nodes', () => {
+      const oldVNode = h('div', null, fragment('a', 'b'), 'c');
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div', null, 'c'));
+
+      expect(element.childNodes.length).toBe(1);
+      expect(element.textContent).toBe('c');
+    });
+
+    it('should patch a multi-root render in place', () => {
+      const container = document.createElement('div');
+      const oldVNode = [h('header', null, 'title'), h('main', null, 'body')];
+      dom.render(oldVNode, container);
+      const header = container.querySelector('header');
+
+      dom.patch(container, oldVNode, [h('header', null, 'new title'), h('main', null, 'body'), h('footer')]);
+
+      expect(container.querySelector('header')).toBe(header);
+      expect(elements(container).map(node => node.tagName)).toEqual(['HEADER', 'MAIN', 'FOOTER']);
+      expect(header.textContent).toBe('new title');
+    });
+
+    it('should add anchors when hydrating fragments', () => {
+      const container = document.createElement('div');
+      const oldVNode = h('div', null, fragment('a', h('b')), 'c');
+      container.innerHTML = vnodeToHTML(oldVNode);
+      dom.hydrate(oldVNode, container);
+      const element = container.firstChild;
+
+      dom.updateElement(element, oldVNode, h('div', null, fragment('a'), 'c'));
+
+      expect(element.querySelector('b')).toBeNull();
+      expect(element.textContent).toBe('ac');
+    });
+  });
+  describe('portals', () => {
+    let target;
+
+    beforeEach(() => {
+      target = document.createElement('div');
+      target.id = 'portal-target';
+      document.body.appendChild(target);
+    });
+
+    afterEach(() => {
+      target.remove();
+    });
+
+    it('should render portal children into a target selector', () => {
+      const element = dom.createElement(h('div', null, portal('#portal-target', h('p', null, 'modal'))));
+
+      expect(element.childNodes.length).toBe(1);
+      expect(element.firstChild.nodeType).toBe(Node.COMMENT_NODE);
+      expect(target.querySelector('p').textContent).toBe('modal');
+    });
+
+    it('should keep existing target content', () => {
+      target.appendChild(document.createElement('span'));
+
+      dom.createElement(portal(target, h('p', null, 'modal')));
+
+      expect(Array.from(target.children).map(node => node.tagName)).toEqual(['SPAN', 'P']);
+    });
+
+    it('should patch portal children in place', () => {
+      const oldVNode = h('div', null, portal(target, h('p', null, 'one')));
+      const element = dom.createElement(oldVNode);
+      const paragraph = target.querySelector('p');
+
+      dom.updateElement(element, oldVNode, h('div', null, portal(target, h('p', null, 'two'), h('b'))));
+
+      expect(target.querySelector('p')).toBe(paragraph);
+      expect(paragraph.textContent).toBe('two');
+      expect(target.querySelector('b')).not.toBeNull();
+    });
+
+    it('should move content when the target changes', () => {
+      const other = document.createElement('section');
+      const oldVNode = h('div', null, portal(target, h('p', null, 'modal')));
+      const element = dom.createElement(oldVNode);
+      const paragraph = target.querySelector('p');
+
+      dom.updateElement(element, oldVNode, h('div', null, portal(other, h('p', null, 'modal'))));
+
+      expect(target.querySelector('p')).toBeNull();
+      expect(other.querySelector('p')).toBe(paragraph);
+    });
+
+    it('should remove portal content when the portal is removed', () => {
+      const oldVNode = h('div', null, h('section', null, portal(target, h('p', null, 'modal'))));
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(target.childNodes.length).toBe(0);
+      expect(dom.portals.size).toBe(0);
+    });
+
+    it('should remove nested portal content', () => {
+      const inner = document.createElement('div');
+      const oldVNode = h('div', null, portal(target, h('p', null, portal(inner, h('b')))));
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(target.childNodes.length).toBe(0);
+      expect(inner.childNodes.length).toBe(0);
+    });
+
+    it('should route portal events through the owning event manager', () => {
+      const eventManager = new EventManager();
+      const portalDom = new DOM({}, eventManager);
+      const onClick = vi.fn();
+
+      portalDom.createElement(h('div', null, portal(target, h('button', { onClick }))));
+      target.querySelector('button').click();
+
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(eventManager.getStats().activeListeners).toBe(1);
+    });
+
+    it('should clear portal refs on removal', () => {
+      const ref = createRef();
+      const oldVNode = h('div', null, portal(target, h('p', { ref })));
+      const element = dom.createElement(oldVNode);
+
+      expect(ref.current).toBe(target.querySelector('p'));
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(ref.current).toBeNull();
+    });
+
+    it('should throw for a missing target', () => {
+      expect(() => dom._createPortal(portal('#missing', 'x'))).toThrow('Portal target "#missing" not found');
+    });
+
+    it('should remove all portal content on cleanup', () => {
+      dom.createElement(portal(target, h('p')));
+
+      dom.cleanup();
+
+      expect(target.childNodes.length).toBe(0);
+    });
+  });
+  describe('memo', () => {
+    it('should render a thunk with its deps as arguments', () => {
+      const element = dom.createElement(h('div', null, memo((a, b) => h('p', null, a + b), [1, 2])));
+
+      expect(element.innerHTML).toBe('<p>3</p>');
+    });
+
+    it('should skip the subtree while deps are shallow-equal', () => {
+      const todo = { id: 1, text: 'Write docs' };
+      const render = vi.fn(item => h('li', null, item.text));
+      const oldVNode = h('ul', null, memo(render, [todo]));
+      const element = dom.createElement(oldVNode);
+      const item = element.firstChild;
+      item.setAttribute('data-untouched', '');
+
+      const newVNode = h('ul', null, memo(render, [todo]));
+      dom.updateElement(element, oldVNode, newVNode);
+
+      expect(render).toHaveBeenCalledTimes(1);
+      expect(element.firstChild).toBe(item);
+      expect(item.hasAttribute('data-untouched')).toBe(true);
+      expect(dom.getStats().skippedSubtrees).toBe(1);
+
+      // The skipped thunk keeps the previous subtree for the next diff
+      dom.updateElement(element, newVNode, h('ul', null, memo(render, [{ ...todo, text: 'Ship' }])));
+
+      expect(render).toHaveBeenCalledTimes(2);
+      expect(element.firstChild).toBe(item);
+      expect(item.textContent).toBe('Ship');
+    });
+
+    it('should patch between thunks and plain vnodes', () => {
+      const oldVNode = h('div', null, memo(text => h('p', null, text), ['a']));
+      const element = dom.createElement(oldVNode);
+      const paragraph = element.firstChild;
+
+      const newVNode = h('div', null, h('p', null, 'b'));
+      dom.updateElement(element, oldVNode, newVNode);
+
+      expect(element.firstChild).toBe(paragraph);
+      expect(paragraph.textContent).toBe('b');
+
+      dom.updateElement(element, newVNode, h('div', null, memo(() => h('span'), [])));
+
+      expect(element.innerHTML).toBe('<span></span>');
+    });
+
+    it('should clear refs inside removed thunks', () => {
+      const ref = createRef();
+      const oldVNode = h('div', null, memo(() => h('p', { ref }), []));
+      const element = dom.createElement(oldVNode);
+
+      expect(ref.current).toBe(element.firstChild);
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(ref.current).toBeNull();
+    });
+
+    it('should match keyed thunks across a reorder', () => {
+      const render = vi.fn(text => h('li', null, text));
+      const list = items => h('ul', null, items.map(item => memo(render, [item], item)));
+      const oldVNode = list(['a', 'b', 'c']);
+      const element = dom.createElement(oldVNode);
+      const [a, b, c] = element.childNodes;
+
+      dom.updateElement(element, oldVNode, list(['c', 'a', 'b']));
+
+      expect(Array.from(element.childNodes)).toEqual([c, a, b]);
+      expect(element.textContent).toBe('cab');
+      expect(render).toHaveBeenCalledTimes(3);
+    });
+
+    it('should hydrate and serialize thunks', () => {
+      const vnode = h('div', null, memo(text => h('p', null, text), ['server']));
+      const container = document.createElement('div');
+      container.innerHTML = vnodeToHTML(vnode);
+      const paragraph = container.querySelector('p');
+
+      expect(dom.hydrate(vnode, container)).toEqual([]);
+      expect(container.querySelector('p')).toBe(paragraph);
+    });
+  });
+  describe('lifecycle hooks', () => {
+    it('should call onMount once the element is in the document', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const onMount = vi.fn(element => expect(element.isConnected).toBe(true));
+
+      dom.render(h('div', null, h('canvas', { onMount })), container);
+
+      expect(onMount).toHaveBeenCalledWith(container.querySelector('canvas'));
+      expect(container.querySelector('canvas').hasAttribute('onmount')).toBe(false);
+      container.remove();
+    });
+
+    it('should call children onMount before the parent', () => {
+      const calls = [];
+      dom.createElement(h('div', { onMount: () => calls.push('parent') },
+        h('span', { onMount: () => calls.push('child') })
+      ));
+
+      expect(calls).toEqual(['child', 'parent']);
+    });
+
+    it('should call onUpdate with the element and old vnode after a patch', () => {
+      const onUpdate = vi.fn(element => expect(element.textContent).toBe('new'));
+      const oldVNode = h('div', { onUpdate }, 'old');
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div', { onUpdate }, 'new'));
+
+      expect(onUpdate).toHaveBeenCalledWith(element, oldVNode);
+    });
+
+    it('should remove the element right away without onBeforeRemove', () => {
+      const oldVNode = h('ul', null, h('li', null, 'a'));
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('ul'));
+
+      expect(element.children.length).toBe(0);
+    });
+
+    it('should delay removal until onBeforeRemove calls done', () => {
+      let finish;
+      const onBeforeRemove = vi.fn((element, done) => {
+        element.classList.add('leaving');
+        finish = done;
+      });
+      const oldVNode = h('ul', null, h('li', { key: 'a', onBeforeRemove }, 'a'), h('li', { key: 'b' }, 'b'));
+      const element = dom.createElement(oldVNode);
+      const leaving = element.firstChild;
+
+      const newVNode = h('ul', null, h('li', { key: 'b' }, 'b'));
+      dom.updateElement(element, oldVNode, newVNode);
+
+      expect(onBeforeRemove).toHaveBeenCalledWith(leaving, expect.any(Function));
+      expect(leaving.parentNode).toBe(element);
+      expect(leaving.className).toBe('leaving');
+
+      // Patches while the element is leaving skip over it
+      dom.updateElement(element, newVNode, h('ul', null, h('li', { key: 'b' }, 'c')));
+      expect(leaving.textContent).toBe('a');
+      expect(element.lastChild.textContent).toBe('c');
+
+      finish();
+      finish();
+
+      expect(leaving.parentNode).toBeNull();
+      expect(Array.from(element.children).map(node => node.textContent)).toEqual(['c']);
+    });
+
+    it('should remove the element when onBeforeRemove throws', () => {
+      const onBeforeRemove = () => {
+        throw new Error('animation failed');
+      };
+      const oldVNode = h('div', null, h('p', { onBeforeRemove }));
+      const element = dom.createElement(oldVNode);
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(element.children.length).toBe(0);
+      consoleSpy.mockRestore();
+    });
+  });
+  describe('controlled form inputs', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('should re-apply value after a patch even when the vnode value did not change', () => {
+      const oldVNode = h('input', { value: 'saved' });
+      const input = dom.createElement(oldVNode);
+
+      input.value = 'typed';
+      dom.updateElement(input, oldVNode, h('input', { value: 'saved' }));
+
+      expect(input.value).toBe('saved');
+    });
+
+    it('should keep the caret when the value is unchanged or updated', () => {
+      const oldVNode = h('input', { value: 'hello' });
+      const input = dom.createElement(oldVNode);
+      container.appendChild(input);
+      input.focus();
+      input.setSelectionRange(2, 2);
+
+      const newVNode = h('input', { value: 'hello' });
+      dom.updateElement(input, oldVNode, newVNode);
+      expect(input.selectionStart).toBe(2);
+
+      dom.updateElement(input, newVNode, h('input', { value: 'HELLO world' }));
+      expect(input.value).toBe('HELLO world');
+      expect(input.selectionStart).toBe(2);
+      expect(input.selectionEnd).toBe(2);
+    });
+
+    it('should clear the value when it becomes null', () => {
+      const oldVNode = h('input', { value: 'text' });
+      const input = dom.createElement(oldVNode);
+
+      dom.updateElement(input, oldVNode, h('input', { value: null }));
+
+      expect(input.value).toBe('');
+      expect(input.hasAttribute('value')).toBe(false);
+    });
+
+    it('should re-apply checked after the user toggles a checkbox', () => {
+      const oldVNode = h('input', { type: 'checkbox', checked: true });
+      const checkbox = dom.createElement(oldVNode);
+      expect(checkbox.checked).toBe(true);
+
+      checkbox.checked = false;
+      const newVNode = h('input', { type: 'checkbox', checked: true });
+      dom.updateElement(checkbox, oldVNode, newVNode);
+      expect(checkbox.checked).toBe(true);
+
+      dom.updateElement(checkbox, newVNode, h('input', { type: 'checkbox', checked: false }));
+      expect(checkbox.checked).toBe(false);
+    });
+
+    it('should select the option matching a select value', () => {
+      const options = ['a', 'b', 'c'].map(value => h('option', { value }, value));
+      const oldVNode = h('select', { value: 'b' }, options);
+      const select = dom.createElement(oldVNode);
+      expect(select.value).toBe('b');
+
+      select.value = 'c';
+      dom.updateElement(select, oldVNode, h('select', { value: 'b' }, options));
+
+      expect(select.value).toBe('b');
+    });
+
+    it('should take an array value for select multiple', () => {
+      const options = ['a', 'b', 'c'].map(value => h('option', { value }, value));
+      const oldVNode = h('select', { multiple: true, value: ['a', 'c'] }, options);
+      const select = dom.createElement(oldVNode);
+      const selected = () => Array.from(select.selectedOptions).map(option => option.value);
+
+      expect(selected()).toEqual(['a', 'c']);
+
+      dom.updateElement(select, oldVNode, h('select', { multiple: true, value: ['b'] }, options));
+
+      expect(selected()).toEqual(['b']);
+    });
+
+    it('should re-apply selected on options', () => {
+      const oldVNode = h('select', null, h('option', { value: 'a' }), h('option', { value: 'b', selected: true }));
+      const select = dom.createElement(oldVNode);
+      expect(select.value).toBe('b');
+
+      select.value = 'a';
+      dom.updateElement(select, oldVNode, h('select', null, h('option', { value: 'a' }), h('option', { value: 'b', selected: true })));
+
+      expect(select.value).toBe('b');
+    });
+
+    it('should treat textarea children as its value', () => {
+      const oldVNode = h('textarea', null, 'first draft');
+      const textarea = dom.createElement(oldVNode);
+      expect(textarea.value).toBe('first draft');
+      expect(textarea.childNodes.length).toBe(0);
+
+      textarea.value = 'typed';
+      dom.updateElement(textarea, oldVNode, h('textarea', null, 'second ', 'draft'));
+
+      expect(textarea.value).toBe('second draft');
+      expect(textarea.childNodes.length).toBe(0);
+    });
+  });
+  describe('event handlers', () => {
+    let eventManager;
+
+    beforeEach(() => {
+      eventManager = new EventManager();
+      dom = new DOM({}, eventManager);
+    });
+
+    it('should call the latest handler without re-registering listeners', () => {
+      const calls = [];
+      const render = count => h('button', { onClick: () => calls.push(count) }, String(count));
+      let oldVNode = render(0);
+      const button = dom.createElement(oldVNode);
+      const addSpy = vi.spyOn(button, 'addEventListener');
+      const removeSpy = vi.spyOn(button, 'removeEventListener');
+
+      for (let count = 1; count <= 3; count++) {
+        const newVNode = render(count);
+        dom.updateElement(button, oldVNode, newVNode);
+        oldVNode = newVNode;
+      }
+      button.click();
+
+      expect(calls).toEqual([3]);
+      expect(addSpy).not.toHaveBeenCalled();
+      expect(removeSpy).not.toHaveBeenCalled();
+      expect(eventManager.getStats().activeListeners).toBe(1);
+      expect(eventManager.getStats().listenersRegistered).toBe(1);
+    });
+
+    it('should remove the native listener when the handler is removed', () => {
+      const onClick = vi.fn();
+      const oldVNode = h('button', { onClick });
+      const button = dom.createElement(oldVNode);
+
+      dom.updateElement(button, oldVNode, h('button'));
+      button.click();
+
+      expect(onClick).not.toHaveBeenCalled();
+      expect(eventManager.getStats().activeListeners).toBe(0);
+    });
+
+    it('should read event config options from the latest vnode', () => {
+      const onSubmit = vi.fn();
+      const oldVNode = h('form', { onSubmit: { handler: () => {}, preventDefault: false } });
+      const form = dom.createElement(oldVNode);
+
+      dom.updateElement(form, oldVNode, h('form', { onSubmit: { handler: onSubmit, preventDefault: true, data: { id: 1 } } }));
+      const event = new Event('submit', { cancelable: true });
+      form.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(onSubmit.mock.calls[0][0].customData).toEqual({ id: 1 });
+      expect(eventManager.getStats().listenersRegistered).toBe(1);
+    });
+
+    it('should re-register when listener options change', () => {
+      const handler = vi.fn();
+      const oldVNode = h('div', { onScroll: { handler, passive: false } });
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div', { onScroll: { handler, passive: true } }));
+      element.dispatchEvent(new Event('scroll'));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(eventManager.getStats().activeListeners).toBe(1);
+      expect(eventManager.getStats().listenersRegistered).toBe(2);
+    });
+
+    it('should remove the listeners of removed elements and their descendants', () => {
+      const list = count => h('ul', null,
+        Array.from({ length: count }, (_, i) => h('li', { key: i, onClick: () => {} }, h('button', { onClick: () => {} })))
+      );
+      let oldVNode = list(10);
+      const element = dom.createElement(oldVNode);
+
+      for (let round = 0; round < 5; round++) {
+        [2, 10].forEach(count => {
+          const newVNode = list(count);
+          dom.updateElement(element, oldVNode, newVNode);
+          oldVNode = newVNode;
+        });
+      }
+
+      expect(element.children.length).toBe(10);
+      expect(eventManager.getStats().activeListeners).toBe(20);
+
+      dom.updateElement(element, oldVNode, h('ul', null, fragment(h('li', { onClick: () => {} }))));
+      dom.updateElement(element, h('ul', null, fragment(h('li', { onClick: () => {} }))), h('ul'));
+
+      expect(eventManager.getStats().activeListeners).toBe(0);
+    });
+
+    it('should remove the listeners of removed portal content', () => {
+      const target = document.createElement('div');
+      const oldVNode = h('div', null, h('section', null, portal(target, h('button', { onClick: () => {} }))));
+      const element = dom.createElement(oldVNode);
+
+      dom.updateElement(element, oldVNode, h('div'));
+
+      expect(eventManager.getStats().activeListeners).toBe(0);
+    });
+
+    it('should keep a single native listener without an event manager', () => {
+      const plainDom = new DOM();
+      const calls = [];
+      const oldVNode = h('button', { onClick: () => calls.push('old') });
+      const button = plainDom.createElement(oldVNode);
+      const addSpy = vi.spyOn(button, 'addEventListener');
+
+      plainDom.updateElement(button, oldVNode, h('button', { onClick: () => calls.push('new') }));
+      button.click();
+
+      expect(calls).toEqual(['new']);
+      expect(addSpy).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
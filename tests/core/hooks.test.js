@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { StateManager } from '../../src/core/state.js';
+import { useState, useReducer, useEffect, useMemo, useRef, useStore } from '../../src/core/hooks.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Hooks', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  it('should keep useState values between renders', async () => {
+    let setCount;
+    function Counter() {
+      const [count, set] = useState(1);
+      setCount = set;
+      return h('span', null, `Count: ${count}`);
+    }
+
+    dom.render(h(Counter), container);
+    const span = container.firstChild;
+
+    setCount(count => count + 1);
+    setCount(count => count + 1);
+    await flush();
+
+    expect(container.innerHTML).toBe('<span>Count: 3</span>');
+    expect(container.firstChild).toBe(span);
+  });
+
+  it('should not re-render when the state is set to the same value', async () => {
+    const render = vi.fn();
+    let setValue;
+    function Value() {
+      const [value, set] = useState(() => 'a');
+      setValue = set;
+      render();
+      return h('span', null, value);
+    }
+
+    dom.render(h(Value), container);
+    setValue('a');
+    await flush();
+
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it('should update state through a reducer', async () => {
+    let dispatch;
+    function Counter({ step }) {
+      const [count, send] = useReducer((state, action) => action === 'add' ? state + step : state, 0);
+      dispatch = send;
+      return h('span', null, String(count));
+    }
+
+    dom.render(h(Counter, { step: 5 }), container);
+    dispatch('add');
+    await flush();
+
+    expect(container.textContent).toBe('5');
+  });
+
+  it('should run effects after mount and clean up when deps change or on unmount', () => {
+    const log = [];
+    function Ticker({ id }) {
+      useEffect(() => {
+        log.push(`start ${id}`);
+        return () => log.push(`stop ${id}`);
+      }, [id]);
+      return h('span', null, String(id));
+    }
+
+    const v1 = h('div', null, h(Ticker, { id: 1 }));
+    dom.render(v1, container);
+    expect(log).toEqual(['start 1']);
+
+    const v2 = h('div', null, h(Ticker, { id: 1 }));
+    dom.patch(container, v1, v2);
+    expect(log).toEqual(['start 1']);
+
+    const v3 = h('div', null, h(Ticker, { id: 2 }));
+    dom.patch(container, v2, v3);
+    expect(log).toEqual(['start 1', 'stop 1', 'start 2']);
+
+    dom.patch(container, v3, h('div', null));
+    expect(log).toEqual(['start 1', 'stop 1', 'start 2', 'stop 2']);
+  });
+
+  it('should run effects once the component is in the document', () => {
+    let found;
+    function Probe() {
+      const ref = useRef();
+      useEffect(() => {
+        found = ref.current.parentNode === container.firstChild;
+      }, []);
+      return h('span', { ref });
+    }
+
+    dom.render(h('div', null, h(Probe)), container);
+
+    expect(found).toBe(true);
+  });
+
+  it('should memoize values until deps change', () => {
+    const compute = vi.fn(n => n * 2);
+    function Double({ n, label }) {
+      const doubled = useMemo(() => compute(n), [n]);
+      return h('span', null, `${label}${doubled}`);
+    }
+
+    const v1 = h(Double, { n: 2, label: 'a' });
+    dom.render(v1, container);
+    const v2 = h(Double, { n: 2, label: 'b' });
+    dom.patch(container, v1, v2);
+    const v3 = h(Double, { n: 3, label: 'b' });
+    dom.patch(container, v2, v3);
+
+    expect(container.textContent).toBe('b6');
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('should re-render only when the watched store slice changes', async () => {
+    const store = new StateManager({ user: { name: 'Ada' }, count: 0 }, false, { enableBatching: false });
+    dom.store = store;
+    const render = vi.fn();
+    let setName;
+    function Name() {
+      const [name, set] = useStore('user.name');
+      setName = set;
+      render();
+      return h('span', null, name);
+    }
+
+    dom.render(h(Name), container);
+    await store.setState('count', 1);
+    await flush();
+    expect(render).toHaveBeenCalledTimes(1);
+
+    await setName('Grace');
+    await flush();
+    expect(container.textContent).toBe('Grace');
+    expect(render).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop watching the store on unmount', async () => {
+    const store = new StateManager({ count: 0 }, false, { enableBatching: false });
+    dom.store = store;
+    function Count() {
+      const [count] = useStore('count');
+      return h('span', null, String(count));
+    }
+
+    const v1 = h('div', null, h(Count));
+    dom.render(v1, container);
+    const instance = v1.children[0]._instance;
+    dom.patch(container, v1, h('div', null));
+
+    const schedule = vi.spyOn(dom, '_scheduleComponentUpdate');
+    await store.setState('count', 1);
+    expect(instance._isUnmounted).toBe(true);
+    expect(schedule).not.toHaveBeenCalled();
+  });
+
+  it('should throw when a hook is called outside a component render', () => {
+    expect(() => useState(0)).toThrow('useState can only be called while rendering a function component');
+  });
+
+  it('should throw on hook order changes in strict mode', () => {
+    dom = new DOM({ strictMode: true });
+    function Conditional({ flag }) {
+      if (flag) {
+        useRef();
+      }
+      useState(0);
+      return h('span');
+    }
+
+    const v1 = h(Conditional, { flag: true });
+    dom.render(v1, container);
+
+    dom.patch(container, v1, h(Conditional, { flag: false }));
+
+    expect(dom.errorBoundary.errors.at(-1).message)
+      .toMatch(/Conditional called useState as hook #1, where the previous render called useRef/);
+  });
+
+  it('should throw when fewer hooks run in strict mode', () => {
+    dom = new DOM({ strictMode: true });
+    function Early({ stop }) {
+      const [value] = useState('x');
+      if (stop) {
+        return h('span');
+      }
+      useMemo(() => value, [value]);
+      return h('span', null, value);
+    }
+
+    const v1 = h(Early, { stop: false });
+    dom.render(v1, container);
+
+    dom.patch(container, v1, h(Early, { stop: true }));
+
+    expect(dom.errorBoundary.errors.at(-1).message)
+      .toMatch(/Early rendered 1 hooks but 2 during the previous render/);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component } from '../../src/core/component-instance.js';
+import { keepAlive } from '../../src/core/keep-alive.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('keepAlive', () => {
+  let dom;
+  let container;
+  let log;
+
+  const page = name => {
+    const Page = class extends Component {
+      constructor(props) {
+        super(props);
+        this.state = { visits: 0 };
+      }
+
+      render() {
+        return h('section', null, h('input', { id: name }), `${name}:${this.props.label || ''}`);
+      }
+
+      mounted() { log.push(`${name} mounted`); }
+      unmounted() { log.push(`${name} unmounted`); }
+      activated() { log.push(`${name} activated`); }
+      deactivated() { log.push(`${name} deactivated`); }
+    };
+    Object.defineProperty(Page, 'name', { value: name });
+    return Page;
+  };
+
+  const Inbox = page('Inbox');
+  const Drafts = page('Drafts');
+  const Sent = page('Sent');
+
+  const show = (old, vnode) => {
+    if (old) {
+      dom.patch(container, old, vnode);
+    } else {
+      dom.render(vnode, container);
+    }
+    return vnode;
+  };
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    log = [];
+  });
+
+  it('should keep the DOM and instance of a page it switches away from', async () => {
+    let vnode = show(null, keepAlive({}, h(Inbox)));
+    const input = container.querySelector('#Inbox');
+    input.value = 'draft text';
+    const instance = vnode.children[0]._instance;
+    await flush();
+
+    vnode = show(vnode, keepAlive({}, h(Drafts)));
+    expect(container.querySelector('#Inbox')).toBeNull();
+    expect(container.textContent).toBe('Drafts:');
+
+    vnode = show(vnode, keepAlive({}, h(Inbox, { label: 'back' })));
+    await flush();
+
+    expect(container.querySelector('#Inbox')).toBe(input);
+    expect(input.value).toBe('draft text');
+    expect(container.textContent).toBe('Inbox:back');
+    expect(vnode.children[0]._instance).toBe(instance);
+    expect(log).toEqual([
+      'Inbox mounted', 'Inbox deactivated', 'Drafts mounted', 'Drafts deactivated', 'Inbox activated'
+    ]);
+  });
+
+  it('should notify child components, parents first on deactivation and last on activation', async () => {
+    const Child = page('Child');
+    class Parent extends Component {
+      render() { return h('div', null, h(Child)); }
+      activated() { log.push('Parent activated'); }
+      deactivated() { log.push('Parent deactivated'); }
+    }
+
+    let vnode = show(null, keepAlive({}, h(Parent)));
+    await flush();
+    log = [];
+
+    vnode = show(vnode, keepAlive({}, h(Drafts)));
+    show(vnode, keepAlive({}, h(Parent)));
+    await flush();
+
+    expect(log).toEqual([
+      'Parent deactivated', 'Child deactivated', 'Drafts mounted', 'Drafts deactivated',
+      'Child activated', 'Parent activated'
+    ]);
+  });
+
+  it('should unmount pages that are excluded or not included', async () => {
+    let vnode = show(null, keepAlive({ exclude: 'Drafts' }, h(Drafts)));
+    await flush();
+    vnode = show(vnode, keepAlive({ exclude: 'Drafts' }, h(Inbox)));
+    await flush();
+
+    expect(log).toEqual(['Drafts mounted', 'Drafts unmounted', 'Inbox mounted']);
+
+    log = [];
+    vnode = show(vnode, keepAlive({ include: [/^In/, 'Sent'] }, h(Sent)));
+    await flush();
+    show(vnode, keepAlive({ include: [/^In/, 'Sent'] }, h(Inbox)));
+    await flush();
+
+    expect(log).toEqual(['Inbox deactivated', 'Sent mounted', 'Sent deactivated', 'Inbox activated']);
+  });
+
+  it('should unmount the least recently used page beyond max', async () => {
+    let vnode = show(null, keepAlive({ max: 2 }, h(Inbox)));
+    vnode = show(vnode, keepAlive({ max: 2 }, h(Drafts)));
+    vnode = show(vnode, keepAlive({ max: 2 }, h(Inbox)));
+    vnode = show(vnode, keepAlive({ max: 2 }, h(Sent)));
+    await flush();
+    log = [];
+
+    // Cached: Drafts, then Inbox; leaving Sent evicts Drafts
+    show(vnode, keepAlive({ max: 2 }, h(page('Outbox'))));
+    await flush();
+
+    expect(log).toEqual(['Sent deactivated', 'Drafts unmounted', 'Outbox mounted']);
+  });
+
+  it('should cache pages with different keys separately', async () => {
+    let vnode = show(null, keepAlive({}, h(Inbox, { key: 'work', label: 'work' })));
+    container.querySelector('input').value = 'work draft';
+
+    vnode = show(vnode, keepAlive({}, h(Inbox, { key: 'home', label: 'home' })));
+    expect(container.querySelector('input').value).toBe('');
+
+    show(vnode, keepAlive({}, h(Inbox, { key: 'work', label: 'work' })));
+    expect(container.querySelector('input').value).toBe('work draft');
+    expect(container.textContent).toBe('Inbox:work');
+  });
+
+  it('should unmount cached pages with the keepAlive', async () => {
+    let vnode = show(null, h('main', null, keepAlive({}, h(Inbox))));
+    vnode = show(vnode, h('main', null, keepAlive({}, h(Drafts))));
+    await flush();
+    log = [];
+
+    show(vnode, h('main', null));
+    await flush();
+
+    expect(log.sort()).toEqual(['Drafts unmounted', 'Inbox unmounted']);
+    expect(container.innerHTML).toBe('<main></main>');
+  });
+});
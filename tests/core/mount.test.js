@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mount, mountIslands } from '../../src/core/mount.js';
+import { Component } from '../../src/core/component-instance.js';
+import { useStore, useRouter } from '../../src/core/hooks.js';
+import { StateManager } from '../../src/core/state.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function Greeting(props) {
+  return h('p', null, `Hello ${props.name}`);
+}
+
+function Counter() {
+  const [count, setCount] = useStore('count');
+  return h('button', { onClick: () => setCount(count + 1) }, String(count));
+}
+
+describe('mount', () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="first">server</div><div id="second"></div>';
+    first = document.getElementById('first');
+    second = document.getElementById('second');
+  });
+
+  it('should render a component into an element and update its props', () => {
+    const root = mount(Greeting, '#first', { props: { name: 'Ada' } });
+
+    expect(first.innerHTML).toBe('<p>Hello Ada</p>');
+
+    const paragraph = first.firstChild;
+    root.update({ name: 'Grace' });
+
+    expect(first.firstChild).toBe(paragraph);
+    expect(first.textContent).toBe('Hello Grace');
+  });
+
+  it('should unmount the component and release the element', async () => {
+    const unmounted = vi.fn();
+    class Widget extends Component {
+      render() { return h('span', null, 'widget'); }
+      unmounted() { unmounted(); }
+    }
+
+    const root = mount(Widget, first);
+    await flush();
+    root.unmount();
+
+    expect(first.innerHTML).toBe('');
+    expect(unmounted).toHaveBeenCalledTimes(1);
+
+    // The element can take a new root
+    mount(Greeting, first, { props: { name: 'again' } });
+    expect(first.textContent).toBe('Hello again');
+  });
+
+  it('should refuse a second root on the same element', () => {
+    mount(Greeting, first, { props: { name: 'Ada' } });
+
+    expect(() => mount(Greeting, first)).toThrow('already has a mounted root');
+    expect(() => mount(Greeting, '#missing')).toThrow('not found');
+  });
+
+  it('should keep roots isolated unless they share a StateManager', async () => {
+    const store = new StateManager({ count: 1 }, false, { enableBatching: false });
+    mount(Counter, first, { state: store });
+    mount(Counter, second, { state: store });
+    const isolated = document.createElement('div');
+    document.body.appendChild(isolated);
+    mount(Counter, isolated, { state: { count: 10 } });
+
+    first.querySelector('button').click();
+    await flush();
+
+    expect(first.textContent).toBe('2');
+    expect(second.textContent).toBe('2');
+    expect(isolated.textContent).toBe('10');
+  });
+
+  it('should give components the shared router', () => {
+    const router = { navigate: vi.fn() };
+    function Link() {
+      const current = useRouter();
+      return h('a', { onClick: () => current.navigate('/about') }, 'About');
+    }
+
+    mount(Link, first, { router });
+    first.querySelector('a').click();
+
+    expect(router.navigate).toHaveBeenCalledWith('/about');
+  });
+
+  it('should adopt server-rendered markup when hydrating', () => {
+    first.innerHTML = '<p>Hello Ada</p>';
+    const paragraph = first.firstChild;
+
+    mount(Greeting, first, { props: { name: 'Ada' }, hydrate: true });
+
+    expect(first.firstChild).toBe(paragraph);
+  });
+});
+
+describe('mountIslands', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <header data-component="Greeting" data-props='{"name": "header"}'></header>
+      <article>
+        <aside data-component="Greeting" data-props='{"name": "aside"}'>
+          <div data-component="Greeting"></div>
+        </aside>
+        <footer data-component="Unknown"></footer>
+      </article>`;
+  });
+
+  it('should mount each island with its data-props, skipping nested and unknown ones', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const roots = mountIslands({ Greeting });
+
+    expect(roots).toHaveLength(2);
+    expect(document.querySelector('header').textContent).toBe('Hello header');
+    expect(document.querySelector('aside').innerHTML).toBe('<p>Hello aside</p>');
+    expect(warn).toHaveBeenCalledWith('No component registered for island "Unknown"');
+
+    // Scanning again leaves mounted islands alone
+    expect(mountIslands({ Greeting })).toHaveLength(0);
+    warn.mockRestore();
+  });
+
+  it('should limit the scan to a root element', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const roots = mountIslands(new Map([['Greeting', Greeting]]), {
+      root: document.querySelector('article'),
+      props: { name: 'default' }
+    });
+
+    expect(roots).toHaveLength(1);
+    expect(document.querySelector('aside').textContent).toBe('Hello aside');
+    expect(document.querySelector('header').textContent).toBe('');
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component } from '../../src/core/component-instance.js';
+import { applyPropDefaults, validateProps } from '../../src/core/props.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+class Button extends Component {
+  static props = {
+    label: { type: 'string', required: true },
+    size: { type: 'string', oneOf: ['small', 'large'], default: 'small' },
+    count: { type: ['number', 'string'], validator: value => Number(value) >= 0 },
+    items: { type: 'array', default: () => [] },
+    onClick: 'function'
+  };
+
+  render() {
+    return h('button', { class: this.props.size }, this.props.label);
+  }
+}
+
+describe('Component props', () => {
+  it('should apply defaults for missing props', () => {
+    const first = applyPropDefaults(Button, { label: 'A' });
+    const second = applyPropDefaults(Button, { label: 'B', size: 'large' });
+
+    expect(first.size).toBe('small');
+    expect(second.size).toBe('large');
+    expect(first.items).toEqual([]);
+    expect(first.items).not.toBe(applyPropDefaults(Button, {}).items);
+  });
+
+  it('should accept valid props', () => {
+    expect(validateProps(Button, { label: 'A', size: 'large', count: '2', onClick: () => {} })).toEqual([]);
+  });
+
+  it('should describe invalid props naming the component and prop', () => {
+    expect(validateProps(Button, { size: 'huge', count: -1, onClick: 'click' })).toEqual([
+      'Button: missing required prop "label"',
+      'Button: prop "size" should be one of "small", "large", got "huge"',
+      'Button: prop "count" failed validation',
+      'Button: prop "onClick" should be function, got string'
+    ]);
+  });
+
+  it('should report validator errors', () => {
+    const Link = () => null;
+    Link.props = {
+      href: { validator: value => { if (!value.startsWith('/')) throw new Error('must be absolute'); } }
+    };
+
+    expect(validateProps(Link, { href: 'home' })).toEqual(['Link: prop "href" failed validation: must be absolute']);
+  });
+
+  describe('rendering', () => {
+    let container;
+    let warn;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('should warn about invalid props in debug mode', () => {
+      const dom = new DOM({ debug: true });
+      dom.render(h(Button, { size: 'huge' }), container);
+
+      expect(warn).toHaveBeenCalledWith('Invalid props: Button: missing required prop "label"');
+      expect(container.innerHTML).toBe('<button class="huge"></button>');
+    });
+
+    it('should skip the checks outside debug mode or when disabled', () => {
+      new DOM().render(h(Button, { size: 'huge' }), container);
+      new DOM({ debug: true, validateComponents: false }).render(h(Button), container);
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should render with defaults', () => {
+      new DOM().render(h(Button, { label: 'Save' }), container);
+
+      expect(container.innerHTML).toBe('<button class="small">Save</button>');
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { signal, computed, effect, untracked, isSignal } from '../../src/core/signals.js';
+import { DOM } from '../../src/core/dom.js';
+import { StateManager } from '../../src/core/state.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+describe('signals', () => {
+  it('should re-run effects when a signal they read changes', () => {
+    const count = signal(1);
+    const seen = [];
+    const dispose = effect(() => {
+      seen.push(count.value);
+    });
+
+    count.value = 2;
+    count.value = 2;
+    dispose();
+    count.value = 3;
+
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('should compute lazily and cache until a dependency changes', () => {
+    const width = signal(10);
+    const unit = signal('px');
+    const fn = vi.fn(() => `${width.value}${unit.value}`);
+    const label = computed(fn);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(label.value).toBe('10px');
+    expect(label.value).toBe('10px');
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    width.value = 20;
+    expect(label.value).toBe('20px');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(() => { label.value = 'x'; }).toThrow('read-only');
+  });
+
+  it('should chain computed signals into effects and run cleanups', () => {
+    const x = signal(1);
+    const doubled = computed(() => x.value * 2);
+    const cleanup = vi.fn();
+    const seen = [];
+    const dispose = effect(() => {
+      seen.push(doubled.value);
+      return cleanup;
+    });
+
+    x.value = 5;
+    expect(seen).toEqual([2, 10]);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+
+    dispose();
+    expect(cleanup).toHaveBeenCalledTimes(2);
+  });
+
+  it('should run effects once, after computed signals caught up', () => {
+    const a = signal(1);
+    const double = computed(() => a.value * 2);
+    const log = [];
+    effect(() => {
+      log.push([a.value, double.value]);
+    });
+
+    a.value = 2;
+
+    expect(log).toEqual([[1, 2], [2, 4]]);
+  });
+
+  it('should run effects queued by writes made in effects', () => {
+    const celsius = signal(0);
+    const fahrenheit = signal(32);
+    const seen = [];
+    effect(() => {
+      fahrenheit.value = celsius.value * 9 / 5 + 32;
+    });
+    effect(() => {
+      seen.push(fahrenheit.value);
+    });
+
+    celsius.value = 100;
+
+    expect(seen).toEqual([32, 212]);
+  });
+
+  it('should not subscribe to reads made through peek or untracked', () => {
+    const a = signal(1);
+    const b = signal(1);
+    const runs = vi.fn(() => a.peek() + untracked(() => b.value));
+    effect(runs);
+
+    a.value = 2;
+    b.value = 2;
+
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(isSignal(a)).toBe(true);
+    expect(isSignal(1)).toBe(false);
+  });
+
+  it('should dispose an effect whose first run throws', () => {
+    const count = signal(1);
+    const runs = vi.fn(() => {
+      if (count.value === 1) {
+        throw new Error('boom');
+      }
+    });
+
+    expect(() => effect(runs)).toThrow('boom');
+    count.value = 2;
+
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(count._observers.size).toBe(0);
+  });
+
+  it('should call subscribers with the current and later values', () => {
+    const name = signal('Ada');
+    const callback = vi.fn();
+    const unsubscribe = name.subscribe(callback);
+
+    name.value = 'Grace';
+    unsubscribe();
+    name.value = 'Alan';
+
+    expect(callback.mock.calls).toEqual([['Ada'], ['Grace']]);
+  });
+});
+
+describe('DOM signal bindings', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  it('should update a bound text node and attribute without re-rendering', () => {
+    const x = signal(10);
+    const render = vi.fn(() => h('div', { 'data-x': x, class: 'box' }, 'x = ', x));
+    function Box() {
+      return render();
+    }
+
+    dom.render(h(Box), container);
+    const text = container.firstChild.lastChild;
+
+    x.value = 42;
+
+    expect(container.innerHTML).toBe('<div data-x="42" class="box">x = 42</div>');
+    expect(container.firstChild.lastChild).toBe(text);
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render signal text as is', () => {
+    const label = signal('a < b');
+    dom.render(h('p', null, label), container);
+
+    label.value = '<b>&</b>';
+
+    expect(container.firstChild.textContent).toBe('<b>&</b>');
+  });
+
+  it('should bind computed signals', () => {
+    const x = signal(1);
+    dom.render(h('span', { style: computed(() => `left: ${x.value * 10}px;`) }, computed(() => x.value * 10)), container);
+
+    x.value = 3;
+
+    expect(container.firstChild.style.left).toBe('30px');
+    expect(container.textContent).toBe('30');
+  });
+
+  it('should release bindings when a patch replaces or removes them', () => {
+    const a = signal('a');
+    const b = signal('b');
+    const first = h('p', { title: a }, a);
+    dom.render(first, container);
+
+    const second = h('p', { title: 'plain' }, b);
+    dom.patch(container, first, second);
+    a.value = 'A';
+    b.value = 'B';
+
+    expect(container.innerHTML).toBe('<p title="plain">B</p>');
+
+    dom.patch(container, second, h('div'));
+    expect(dom.signalBindings.size).toBe(0);
+  });
+
+  it('should keep a binding across patches with the same signal', () => {
+    const x = signal('one');
+    const first = h('p', null, x);
+    dom.render(first, container);
+    const text = container.firstChild.firstChild;
+
+    dom.patch(container, first, h('p', null, x));
+    x.value = 'two';
+
+    expect(container.firstChild.firstChild).toBe(text);
+    expect(container.textContent).toBe('two');
+    expect(dom.signalBindings.size).toBe(1);
+  });
+
+  it('should bind hydrated text and attributes', () => {
+    const x = signal('hello');
+    container.innerHTML = '<p title="hello">hello</p>';
+    const paragraph = container.firstChild;
+
+    dom.hydrate(h('p', { title: x }, x), container);
+    x.value = 'bye';
+
+    expect(container.firstChild).toBe(paragraph);
+    expect(container.innerHTML).toBe('<p title="bye">bye</p>');
+  });
+});
+
+describe('StateManager.signal', () => {
+  it('should follow a state path and write it through setState', async () => {
+    const store = new StateManager({ drag: { x: 0 }, other: 1 }, false, { enableBatching: false });
+    const x = store.signal('drag.x');
+    const seen = [];
+    effect(() => {
+      seen.push(x.value);
+    });
+
+    expect(store.signal('drag.x')).toBe(x);
+
+    await store.setState('drag.x', 5);
+    await store.setState('other', 2);
+    x.value = 8;
+    expect(x.value).toBe(8);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(store.getState('drag.x')).toBe(8);
+    expect(seen).toEqual([0, 5, 8]);
+  });
+
+  it('should report a rejected write without an unhandled rejection', async () => {
+    const store = new StateManager({ drag: { x: 0 } }, false, { enableBatching: false });
+    const handleError = vi.spyOn(store.errorBoundary, 'handleError').mockImplementation(() => {});
+    store.addValidator('drag.x', x => x >= 0);
+    const x = store.signal('drag.x');
+
+    x.value = -1;
+    expect(x.value).toBe(-1);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(handleError).toHaveBeenCalledTimes(1);
+    expect(x.value).toBe(0);
+    expect(store.getState('drag.x')).toBe(0);
+  });
+});
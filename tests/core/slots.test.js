@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DOM } from '../../src/core/dom.js';
+import { Component } from '../../src/core/component-instance.js';
+import { slot, hasSlot } from '../../src/core/slots.js';
+import { h } from '../../src/utils/dom-helpers.js';
+
+const Card = () => h('article', null,
+  h('header', null, slot('header', h('h2', null, 'Untitled'))),
+  h('main', null, slot()),
+  hasSlot('footer') && h('footer', null, slot('footer'))
+);
+
+class List extends Component {
+  render() {
+    return h('ul', null, this.props.items.map(item => slot('item', ({ item: value }) => h('li', null, value), { item })));
+  }
+}
+
+describe('Slots', () => {
+  let dom;
+  let container;
+
+  beforeEach(() => {
+    dom = new DOM();
+    container = document.createElement('div');
+  });
+
+  it('should place named slot content', () => {
+    dom.render(h(Card, null, {
+      header: h('h2', null, 'Settings'),
+      default: [h('p', null, 'One'), h('p', null, 'Two')],
+      footer: h('button', null, 'Save')
+    }), container);
+
+    expect(container.innerHTML).toBe(
+      '<article><header><h2>Settings</h2></header><main><p>One</p><p>Two</p></main>' +
+      '<footer><button>Save</button></footer></article>'
+    );
+  });
+
+  it('should use fallbacks for empty slots and plain children for the default slot', () => {
+    dom.render(h(Card, null, h('p', null, 'Body')), container);
+
+    expect(container.innerHTML).toBe('<article><header><h2>Untitled</h2></header><main><p>Body</p></main></article>');
+  });
+
+  it('should expose slots and the default content as props', () => {
+    let props;
+    const Probe = componentProps => {
+      props = componentProps;
+      return null;
+    };
+    const header = h('h2', null, 'Title');
+
+    dom.render(h(Probe, null, { header, default: h('p', null, 'Body') }), container);
+
+    expect(props.slots.header).toBe(header);
+    expect(props.children).toHaveLength(1);
+  });
+
+  it('should pass data to scoped slots', () => {
+    dom.render(h(List, { items: ['a', 'b'] }, {
+      item: ({ item }) => h('li', null, h('b', null, item))
+    }), container);
+
+    expect(container.innerHTML).toBe('<ul><li><b>a</b></li><li><b>b</b></li></ul>');
+  });
+
+  it('should pass data to scoped fallbacks', () => {
+    dom.render(h(List, { items: ['a'] }), container);
+
+    expect(container.innerHTML).toBe('<ul><li>a</li></ul>');
+  });
+
+  it('should update slot content on patch', () => {
+    const oldVNode = h(Card, null, { header: 'One' });
+    dom.render(oldVNode, container);
+    dom.patch(container, oldVNode, h(Card, null, { header: 'Two' }));
+
+    expect(container.querySelector('header').textContent).toBe('Two');
+  });
+
+  it('should throw outside a component render', () => {
+    expect(() => slot('header')).toThrow('slot can only be called while rendering a component');
+  });
+});
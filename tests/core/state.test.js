@@ -390,6 +390,264 @@ describe('StateManager', () => {
     });
   });
 
+  describe('reactive state', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    let store;
+
+    beforeEach(() => {
+      store = new StateManager({ user: { name: 'Ada' }, todos: [{ title: 'a' }] }, false, { reactive: true });
+    });
+
+    it('should apply writes right away and notify subscribers once per batch', async () => {
+      const subscriber = vi.fn();
+      store.subscribe(subscriber);
+
+      store.state.user.name = 'Grace';
+      store.state.todos.push({ title: 'b' });
+      store.state.todos[0].title = 'A';
+      expect(store.state.user.name).toBe('Grace');
+      expect(subscriber).not.toHaveBeenCalled();
+
+      await flush();
+
+      expect(subscriber).toHaveBeenCalledTimes(1);
+      const [newState, prevState, changeInfo] = subscriber.mock.calls[0];
+      expect(prevState.user.name).toBe('Ada');
+      expect(newState.todos).toEqual([{ title: 'A' }, { title: 'b' }]);
+      expect(changeInfo.type).toBe('mutate');
+      expect(changeInfo.paths).toEqual(['user.name', 'todos', 'todos.0.title']);
+    });
+
+    it('should notify watchers of the changed paths only', async () => {
+      const nameWatcher = vi.fn();
+      const todosWatcher = vi.fn();
+      store.watch('user.name', nameWatcher);
+      store.watch('todos', todosWatcher);
+
+      store.state.user.name = 'Grace';
+      await flush();
+
+      expect(nameWatcher).toHaveBeenCalledTimes(1);
+      expect(todosWatcher).not.toHaveBeenCalled();
+
+      delete store.state.user.name;
+      await flush();
+
+      expect(nameWatcher).toHaveBeenCalledTimes(2);
+      expect(store.getState('user')).toEqual({});
+    });
+
+    it('should record writes at the path an object has after its array changes', async () => {
+      store.state.todos.push({ title: 'b' });
+      await flush();
+      const second = store.state.todos[1];
+      const subscriber = vi.fn();
+      const watcher = vi.fn();
+      store.subscribe(subscriber);
+      store.watch('todos.0', watcher);
+
+      store.state.todos.splice(0, 1);
+      await flush();
+      second.done = true;
+      await flush();
+
+      expect(store.state.todos[0]).toBe(second);
+      expect(subscriber.mock.calls[1][2].paths).toEqual(['todos.0.done']);
+      expect(watcher).toHaveBeenCalledTimes(2);
+      expect(store.getState('todos')).toEqual([{ title: 'b', done: true }]);
+    });
+
+    it('should keep setState updates made while writes are pending', async () => {
+      const subscriber = vi.fn();
+      store.subscribe(subscriber);
+
+      store.state.user.name = 'Grace';
+      await store.setState('user.role', 'admin');
+
+      expect(store.getState('user')).toEqual({ name: 'Grace', role: 'admin' });
+      const [newState, prevState, changeInfo] = subscriber.mock.calls[0];
+      expect(changeInfo.type).toBe('mutate');
+      expect(prevState.user).toEqual({ name: 'Ada' });
+      expect(newState.user).toEqual({ name: 'Grace' });
+    });
+
+    it('should keep writes made while a batch is being flushed', async () => {
+      store.addValidator('user.name', async name => name.length > 0);
+
+      store.state.user.name = 'Grace';
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(store.state.user.name).toBe('Grace');
+      store.state.user.age = 36;
+      await flush();
+
+      expect(store.getState('user')).toEqual({ name: 'Grace', age: 36 });
+    });
+
+    it('should give update functions the plain state', async () => {
+      const warn = vi.spyOn(store.logger, 'warn');
+
+      await store.setState(state => ({ ...state, count: 1 }));
+      store.state.user.name = 'Grace';
+      await flush();
+
+      expect(warn).not.toHaveBeenCalled();
+      expect(store.getState('user.name')).toBe('Grace');
+    });
+
+    it('should record batches in the history', async () => {
+      store.state.user.name = 'Grace';
+      store.state.user.age = 36;
+      await flush();
+
+      const history = store.getHistory();
+      expect(history).toHaveLength(1);
+      expect(history[0].state.user).toEqual({ name: 'Grace', age: 36 });
+      expect(history[0].action.changes).toHaveLength(2);
+    });
+
+    it('should roll back a batch a validator rejects', async () => {
+      const subscriber = vi.fn();
+      store.subscribe(subscriber);
+      store.addValidator('user.name', name => typeof name === 'string' && name.length > 0);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      store.state.user.name = '';
+      await flush();
+
+      expect(store.state.user.name).toBe('Ada');
+      expect(subscriber).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should keep the state reactive after setState', async () => {
+      const subscriber = vi.fn();
+      store.subscribe(subscriber);
+
+      await store.setState('user.name', 'Grace', { batch: false });
+      store.state.user.name = 'Ada';
+      await flush();
+
+      expect(subscriber).toHaveBeenCalledTimes(2);
+      expect(store.getState('user.name')).toBe('Ada');
+    });
+
+    it('should leave the state plain when not enabled', () => {
+      const plain = new StateManager({ user: { name: 'Ada' } });
+      plain.state.user.name = 'Grace';
+
+      expect(plain.getHistory()).toHaveLength(0);
+      expect(plain.state.user.name).toBe('Grace');
+    });
+  });
+
+  describe('computed dependency tracking', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new StateManager({
+        user: { first: 'Ada', last: 'Lovelace', age: 36 },
+        todos: [{ title: 'a', done: true }, { title: 'b', done: false }]
+      });
+    });
+
+    it('should compute lazily and re-run only when a path it read changes', async () => {
+      const fullName = vi.fn(state => `${state.user.first} ${state.user.last}`);
+      store.computed('fullName', fullName);
+      expect(fullName).not.toHaveBeenCalled();
+
+      expect(store.getComputed('fullName')).toBe('Ada Lovelace');
+      expect(store.getComputed('fullName')).toBe('Ada Lovelace');
+      expect(fullName).toHaveBeenCalledTimes(1);
+
+      await store.setState('user.age', 37);
+      store.getComputed('fullName');
+      expect(fullName).toHaveBeenCalledTimes(1);
+
+      await store.setState('user.first', 'Augusta');
+      expect(fullName).toHaveBeenCalledTimes(1);
+      expect(store.getComputed('fullName')).toBe('Augusta Lovelace');
+      expect(fullName).toHaveBeenCalledTimes(2);
+    });
+
+    it('should track reads made by array methods', async () => {
+      store.computed('remaining', state => state.todos.filter(todo => !todo.done).length);
+      expect(store.getComputed('remaining')).toBe(1);
+
+      await store.setState('todos.0.done', false);
+      expect(store.getComputed('remaining')).toBe(2);
+
+      await store.setState('todos', [...store.getState('todos'), { title: 'c', done: false }]);
+      expect(store.getComputed('remaining')).toBe(3);
+    });
+
+    it('should depend on other computed properties', async () => {
+      const summary = vi.fn((state, computed) => `${computed('remaining')} left for ${state.user.first}`);
+      store.computed('remaining', state => state.todos.filter(todo => !todo.done).length);
+      store.computed('summary', summary);
+
+      expect(store.getComputed('summary')).toBe('1 left for Ada');
+
+      await store.setState('todos.1.done', true);
+      expect(store.getComputed('summary')).toBe('0 left for Ada');
+      expect(summary).toHaveBeenCalledTimes(2);
+
+      await store.setState('user.age', 40);
+      store.getComputed('summary');
+      expect(summary).toHaveBeenCalledTimes(2);
+    });
+
+    it('should still use dependencies listed by hand', async () => {
+      let external = 1;
+      store.computed('external', () => external, ['settings.scale']);
+      expect(store.getComputed('external')).toBe(1);
+
+      external = 2;
+      await store.setState('settings.scale', 2);
+      expect(store.getComputed('external')).toBe(2);
+    });
+
+    it('should report evaluations and cache hits', async () => {
+      store.computed('first', state => state.user.first);
+      store.getComputed('first');
+      store.getComputed('first');
+      store.getComputed('first');
+      await store.setState('user.first', 'Augusta');
+      store.getComputed('first');
+
+      expect(store.getStats().computed.first).toEqual({
+        evaluations: 2,
+        cacheHits: 2,
+        dependencies: ['user.first']
+      });
+    });
+
+    it('should read the same object twice as the same value', () => {
+      store.computed('same', state => state.user === state.user && state.todos.includes(state.todos[1]));
+
+      expect(store.getComputed('same')).toBe(true);
+    });
+
+    it('should return state values instead of tracking proxies', () => {
+      store.computed('user', state => state.user);
+      store.computed('open', state => ({ todos: state.todos.filter(todo => !todo.done) }));
+
+      const user = store.getComputed('user');
+      expect(user).toBe(store.getState('user'));
+      expect(store.getComputed('open').todos[0]).toBe(store.getState('todos.1'));
+
+      user.nickname = 'Countess';
+      expect(store.getState('user.nickname')).toBe('Countess');
+    });
+
+    it('should reject computed properties that depend on themselves', () => {
+      store.computed('a', (state, computed) => computed('b'));
+      store.computed('b', (state, computed) => computed('a'));
+
+      expect(() => store.getComputed('a')).toThrow('Computed property "a" depends on itself');
+    });
+  });
+
   describe('error handling', () => {
     it('should handle subscription errors gracefully', () => {
       const goodCallback = vi.fn();
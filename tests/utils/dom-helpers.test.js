@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest';
+import { h, html } from '../../src/utils/dom-helpers.js';
+
+describe('DOM Helpers', () => {
+  describe('html', () => {
+    it('should produce the same vnodes as h()', () => {
+      const vnode = html`<div id="app" class='main'><p>Hello</p><br></div>`;
+
+      expect(vnode).toEqual(h('div', { id: 'app', class: 'main' }, h('p', {}, 'Hello'), h('br', {})));
+    });
+
+    it('should fill attribute, event and child holes', () => {
+      const onClick = vi.fn();
+      const label = 'Save';
+      const vnode = html`<button disabled=${false} onClick=${onClick}>${label}</button>`;
+
+      expect(vnode.attrs.disabled).toBe(false);
+      expect(vnode.attrs.onClick).toBe(onClick);
+      expect(vnode.children).toEqual(['Save']);
+    });
+
+    it('should concatenate holes inside quoted attribute values', () => {
+      const active = true;
+      const vnode = html`<li class="item ${active ? 'active' : ''} last"></li>`;
+
+      expect(vnode.attrs.class).toBe('item active last');
+    });
+
+    it('should spread props', () => {
+      const props = { id: 'todo-1', key: 1 };
+      const vnode = html`<li class="todo" ...${props}></li>`;
+
+      expect(vnode.attrs).toEqual({ class: 'todo', id: 'todo-1', key: 1 });
+      expect(vnode.key).toBe(1);
+    });
+
+    it('should treat attributes without a value as true', () => {
+      expect(html`<input type=checkbox checked />`.attrs).toEqual({ type: 'checkbox', checked: true });
+    });
+
+    it('should accept vnodes, arrays and empty values as children', () => {
+      const items = ['a', 'b'].map(item => html`<li key=${item}>${item}</li>`);
+      const vnode = html`<ul>${items}${null}${false}</ul>`;
+
+      expect(vnode.children.map(child => child.key)).toEqual(['a', 'b']);
+    });
+
+    it('should drop indentation but keep inline whitespace', () => {
+      const name = 'World';
+      const vnode = html`
+        <p>
+          Hello ${name}!
+        </p>
+      `;
+
+      expect(vnode.children).toEqual(['Hello ', 'World', '!']);
+    });
+
+    it('should return an array for several root nodes', () => {
+      const vnodes = html`<dt>Term</dt><dd>Definition</dd>`;
+
+      expect(vnodes.map(vnode => vnode.tag)).toEqual(['dt', 'dd']);
+    });
+
+    it('should support dynamic tags', () => {
+      const tag = 'h2';
+
+      expect(html`<${tag} class="title">Title</${tag}>`).toEqual(h('h2', { class: 'title' }, 'Title'));
+      expect(html`<${tag}>Title</>`.tag).toBe('h2');
+    });
+
+    it('should decode entities and skip comments', () => {
+      expect(html`<p><!-- note ${1} -->a &amp; b&lt;</p>`.children).toEqual(['a & b<']);
+    });
+
+    it('should cache parsed templates per call site', () => {
+      const render = value => html`<span title=${value}>${value}</span>`;
+
+      const joinSpy = vi.spyOn(Array.prototype, 'join');
+      render('a');
+      const callsAfterFirst = joinSpy.mock.calls.length;
+      const vnode = render('b');
+      const callsAfterSecond = joinSpy.mock.calls.length;
+      joinSpy.mockRestore();
+
+      expect(callsAfterSecond).toBe(callsAfterFirst);
+      expect(vnode).toEqual(h('span', { title: 'b' }, 'b'));
+    });
+
+    it('should report mismatched closing tags with line and column', () => {
+      expect(() => html`<div>
+  <p>text</span>
+</div>`).toThrow('html: Expected </p> but found </span> at line 2, column 10');
+    });
+
+    it('should report unclosed tags at their opening position', () => {
+      expect(() => html`<ul><li>one</ul>`).toThrow('Expected </li> but found </ul> at line 1, column 12');
+      expect(() => html`<section>\n  <div>`).toThrow('html: Unclosed tag <div> at line 2, column 3');
+    });
+
+    it('should report malformed markup', () => {
+      expect(() => html`</p>`).toThrow('Unexpected closing tag </p> at line 1, column 1');
+      expect(() => html`<div class="a></div>`).toThrow('Unterminated value for attribute "class"');
+      expect(() => html`<div id=></div>`).toThrow('Missing value for attribute "id"');
+      expect(() => html`< div>`).toThrow('Expected a tag name after "<" at line 1, column 2');
+      expect(() => html`<div`).toThrow('Unterminated tag <div>');
+    });
+  });
+});
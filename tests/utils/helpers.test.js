@@ -3,6 +3,7 @@ import {
   escapeHtml,
   deepClone,
   deepEqual,
+  shallowEqual,
   deepMerge,
   debounce,
   throttle,
@@ -121,6 +122,22 @@ describe('Helpers', () => {
     });
   });
 
+  describe('shallowEqual', () => {
+    it('should compare array items and object keys one level deep', () => {
+      const item = { id: 1 };
+
+      expect(shallowEqual([1, item], [1, item])).toBe(true);
+      expect(shallowEqual({ a: 1, b: item }, { a: 1, b: item })).toBe(true);
+      expect(shallowEqual([NaN], [NaN])).toBe(true);
+
+      expect(shallowEqual([{ id: 1 }], [{ id: 1 }])).toBe(false);
+      expect(shallowEqual([1, 2], [1, 2, 3])).toBe(false);
+      expect(shallowEqual({ a: 1 }, { b: 1 })).toBe(false);
+      expect(shallowEqual([], {})).toBe(false);
+      expect(shallowEqual(null, [])).toBe(false);
+    });
+  });
+
   describe('deepMerge', () => {
     it('should merge objects', () => {
       const obj1 = { a: 1, b: { c: 2 } };